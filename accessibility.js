@@ -0,0 +1,137 @@
+// Accessibility
+// Balloon palettes that don't rely on colour alone, the reduced-motion
+// preference and screen-reader announcements. The choices themselves are
+// saved with the other settings (settings.js).
+
+// Okabe & Ito's palette, distinguishable with every common colour vision
+// deficiency. Listed in the same order as BalloonGame's balloonColors, so a
+// colour keeps its point value whichever palette is used.
+const COLOR_BLIND_SAFE_COLORS = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7'];
+
+// marking: 'pattern' fills each point value with its own pattern,
+// 'label' writes the points on the balloon
+const BALLOON_PALETTES = {
+    standard: { name: 'Standard' },
+    patterns: { name: 'Colour-blind safe + patterns', colors: COLOR_BLIND_SAFE_COLORS, marking: 'pattern' },
+    labels: { name: 'Colour-blind safe + point labels', colors: COLOR_BLIND_SAFE_COLORS, marking: 'label' }
+};
+
+const MOTION_PREFERENCES = {
+    system: 'Follow system setting',
+    reduced: 'Reduced',
+    full: 'Full'
+};
+
+// Scores announced to screen readers as they are passed
+const SCORE_MILESTONES = [100, 250, 500, 1000, 1500, 2000, 3000, 5000, 7500, 10000];
+
+// Seconds left that are announced in timed modes
+const TIME_WARNINGS = [30, 10, 5];
+
+// Balloon colours for a palette; pattern is the index of the colour, used to
+// pick its pattern
+function paletteColors(paletteId, baseColors) {
+    const palette = BALLOON_PALETTES[paletteId] || BALLOON_PALETTES.standard;
+    return baseColors.map((entry, i) => ({
+        color: palette.colors ? palette.colors[i % palette.colors.length] : entry.color,
+        points: entry.points,
+        pattern: i
+    }));
+}
+
+// preference is one of MOTION_PREFERENCES
+function prefersReducedMotion(preference) {
+    if (preference !== 'system') return preference === 'reduced';
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+// Small repeating tiles, one per colour, drawn in a dark tint that shows on
+// light and dark balloons alike
+class BalloonPatterns {
+    constructor() {
+        this.patterns = new Map();
+    }
+    
+    get(ctx, index) {
+        if (!this.patterns.has(index)) {
+            this.patterns.set(index, ctx.createPattern(this.drawTile(index), 'repeat'));
+        }
+        return this.patterns.get(index);
+    }
+    
+    drawTile(index) {
+        const size = 16;
+        const tile = document.createElement('canvas');
+        tile.width = size;
+        tile.height = size;
+        const ctx = tile.getContext('2d');
+        ctx.strokeStyle = ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        
+        switch (index % 7) {
+            case 0: // Horizontal stripes
+                ctx.moveTo(0, 4);
+                ctx.lineTo(size, 4);
+                ctx.moveTo(0, 12);
+                ctx.lineTo(size, 12);
+                break;
+            case 1: // Dots
+                ctx.arc(8, 8, 3, 0, Math.PI * 2);
+                ctx.fill();
+                return tile;
+            case 2: // Diagonal stripes
+                ctx.moveTo(0, size);
+                ctx.lineTo(size, 0);
+                ctx.moveTo(-4, 4);
+                ctx.lineTo(4, -4);
+                ctx.moveTo(12, 20);
+                ctx.lineTo(20, 12);
+                break;
+            case 3: // Checks
+                ctx.fillRect(0, 0, 8, 8);
+                ctx.fillRect(8, 8, 8, 8);
+                return tile;
+            case 4: // Zigzag
+                ctx.moveTo(0, 10);
+                ctx.lineTo(4, 6);
+                ctx.lineTo(8, 10);
+                ctx.lineTo(12, 6);
+                ctx.lineTo(16, 10);
+                break;
+            case 5: // Grid
+                ctx.lineWidth = 2;
+                ctx.moveTo(8, 0);
+                ctx.lineTo(8, size);
+                ctx.moveTo(0, 8);
+                ctx.lineTo(size, 8);
+                break;
+            default: // Vertical stripes
+                ctx.moveTo(4, 0);
+                ctx.lineTo(4, size);
+                ctx.moveTo(12, 0);
+                ctx.lineTo(12, size);
+        }
+        ctx.stroke();
+        return tile;
+    }
+}
+
+// Writes messages into ARIA live regions for screen readers. Urgent messages
+// (time running out) interrupt; the rest wait their turn.
+class Announcer {
+    constructor(politeId, urgentId) {
+        this.polite = document.getElementById(politeId);
+        this.urgent = document.getElementById(urgentId);
+    }
+    
+    announce(message, urgent = false) {
+        const region = urgent ? this.urgent : this.polite;
+        
+        // Clear first so the same message twice in a row is read again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+}
@@ -0,0 +1,164 @@
+// Aiming
+// Turns the hand into the cursor: the fingertip position, or with the finger
+// gun control scheme a ray along the index finger. A One Euro filter takes
+// the jitter out without making fast moves lag, an optional aim assist pulls
+// gently toward the nearest balloon, and a short trail of past positions lets
+// a shot use where the cursor was before the fire gesture moved the hand.
+
+// One Euro filter settings (see OneEuroFilter). A lower minCutoff smooths
+// more when the hand is still; a higher beta lets fast moves through sooner.
+const CURSOR_SMOOTHING = {
+    off: { name: 'Off' },
+    light: { name: 'Light', minCutoff: 3, beta: 0.01 },
+    normal: { name: 'Normal', minCutoff: 1.5, beta: 0.007 },
+    strong: { name: 'Strong', minCutoff: 0.7, beta: 0.004 }
+};
+
+// strength is the fraction of the way to a balloon's centre the cursor is
+// pulled when right at its edge; range (pixels beyond the edge) is how far
+// away the pull starts
+const AIM_ASSIST_LEVELS = {
+    off: { name: 'Off', strength: 0, range: 0 },
+    gentle: { name: 'Gentle', strength: 0.25, range: 60 },
+    strong: { name: 'Strong', strength: 0.5, range: 100 }
+};
+
+// Pixels beyond a balloon's edge that still count as a hit
+const HIT_TOLERANCES = {
+    0: 'Exact',
+    10: 'Small',
+    20: 'Normal',
+    35: 'Large',
+    50: 'Extra large'
+};
+
+const CURSOR_TRAIL_TIME = 500; // ms of past cursor positions kept for shots
+
+// Finger gun aiming (see fingerRayPoint)
+const FINGER_GUN_REACH = 0.9; // Screen widths moved per unit of tan(finger angle)
+const FINGER_GUN_MIN_DEPTH = 0.3; // Steepest the ray is allowed to get, as a fraction of the finger's length
+
+// Casiez, Roussel & Vogel's 1€ filter: a low-pass filter whose cutoff rises
+// with speed. Timestamps are in ms.
+class OneEuroFilter {
+    constructor({ minCutoff = 1, beta = 0, derivativeCutoff = 1 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.reset();
+    }
+    
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+    
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+        
+        const dt = (timestamp - this.lastTime) / 1000;
+        if (dt <= 0) return this.value;
+        this.lastTime = timestamp;
+        
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(this.derivativeCutoff, dt) * (rawDerivative - this.derivative);
+        
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+// Exponential smoothing factor for a cutoff frequency (Hz) and time step (s)
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+// A player's hand cursor: smoothing plus the trail of where it has been
+class CursorFilter {
+    constructor(smoothing = 'normal') {
+        const preset = CURSOR_SMOOTHING[smoothing] || CURSOR_SMOOTHING.normal;
+        this.filters = preset.minCutoff ? [new OneEuroFilter(preset), new OneEuroFilter(preset)] : null;
+        this.trail = []; // { x, y, timestamp }, oldest first
+    }
+    
+    smooth(x, y, timestamp) {
+        if (!this.filters) return { x, y };
+        return {
+            x: this.filters[0].filter(x, timestamp),
+            y: this.filters[1].filter(y, timestamp)
+        };
+    }
+    
+    // Remember where the cursor was shown for a frame
+    record(position, timestamp) {
+        this.trail.push({ x: position.x, y: position.y, timestamp });
+        while (this.trail.length > 1 && timestamp - this.trail[0].timestamp > CURSOR_TRAIL_TIME) {
+            this.trail.shift();
+        }
+    }
+    
+    // The cursor as it was at timestamp - or the oldest position kept, if
+    // that is further back than the trail goes
+    positionAt(timestamp) {
+        let position = this.trail[0] || null;
+        for (const point of this.trail) {
+            if (point.timestamp > timestamp) break;
+            position = point;
+        }
+        return position && { x: position.x, y: position.y };
+    }
+    
+    reset() {
+        if (this.filters) this.filters.forEach(filter => filter.reset());
+        this.trail = [];
+    }
+}
+
+// Where a ray along the index finger, from knuckle to tip, meets a plane in
+// front of the hand - in normalized image coordinates, kept inside the image.
+// Tilting the finger about 30 degrees takes the cursor from the knuckle to the
+// edge of the screen, so a small turn of the wrist reaches everywhere.
+function fingerRayPoint(knuckle, tip) {
+    const dx = tip.x - knuckle.x;
+    const dy = tip.y - knuckle.y;
+    const dz = tip.z - knuckle.z; // Negative when pointing toward the camera
+    
+    // A finger pointing sideways would send the ray off to infinity
+    const depth = Math.max(-dz, Math.hypot(dx, dy, dz) * FINGER_GUN_MIN_DEPTH);
+    return {
+        x: clamp(knuckle.x + dx / depth * FINGER_GUN_REACH, 0, 1),
+        y: clamp(knuckle.y + dy / depth * FINGER_GUN_REACH, 0, 1)
+    };
+}
+
+// Pulls position toward the nearest balloon in range. Bombs never pull.
+function assistAim(position, balloons, level) {
+    const assist = AIM_ASSIST_LEVELS[level] || AIM_ASSIST_LEVELS.off;
+    if (assist.strength === 0) return position;
+    
+    let nearest = null;
+    let nearestGap = Infinity;
+    balloons.forEach(balloon => {
+        if (balloon.points < 0) return;
+        const gap = Math.max(0, Math.hypot(balloon.x - position.x, balloon.y - position.y) - balloon.radius);
+        if (gap < assist.range && gap < nearestGap) {
+            nearest = balloon;
+            nearestGap = gap;
+        }
+    });
+    if (!nearest) return position;
+    
+    // Full strength at the edge, fading out to nothing at the end of the range
+    const pull = assist.strength * (1 - nearestGap / assist.range);
+    return {
+        x: position.x + (nearest.x - position.x) * pull,
+        y: position.y + (nearest.y - position.y) * pull
+    };
+}
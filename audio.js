@@ -0,0 +1,220 @@
+// Sound
+// Every sound is synthesised with the Web Audio API, so there is nothing to
+// download. Effects and music have their own volume under a master volume;
+// the levels and mute switch are saved in localStorage.
+
+const AUDIO_STORAGE_KEY = 'balloonPop.audio';
+
+const AUDIO_DEFAULTS = {
+    master: 0.8,
+    effects: 1,
+    music: 0.4,
+    muted: false,
+    musicEnabled: false
+};
+
+// Background loop: one chord per bar, arpeggiated in eighth notes
+const MUSIC_TEMPO = 112; // bpm
+const MUSIC_CHORDS = [
+    [261.63, 329.63, 392.00], // C
+    [220.00, 261.63, 329.63], // Am
+    [174.61, 220.00, 261.63], // F
+    [196.00, 246.94, 293.66]  // G
+];
+
+class SoundEngine {
+    constructor() {
+        this.settings = this.load();
+        this.context = null; // Created on the first user gesture (browser autoplay rules)
+        this.musicTimer = null;
+    }
+    
+    load() {
+        try {
+            return { ...AUDIO_DEFAULTS, ...JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY)) };
+        } catch (error) {
+            return { ...AUDIO_DEFAULTS };
+        }
+    }
+    
+    save() {
+        localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(this.settings));
+    }
+    
+    // Call from a click or key handler so the browser lets audio start
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        if (!this.context) {
+            this.context = new AudioContextClass();
+            
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.effectsGain = this.context.createGain();
+            this.effectsGain.connect(this.masterGain);
+            this.musicGain = this.context.createGain();
+            this.musicGain.connect(this.masterGain);
+            
+            // One second of white noise, reused by every noisy sound
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+            
+            this.applyVolumes();
+        }
+        
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+    
+    // channel is 'master', 'effects' or 'music'; value is 0-1
+    setVolume(channel, value) {
+        this.settings[channel] = clamp(value, 0, 1);
+        this.applyVolumes();
+        this.save();
+    }
+    
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.applyVolumes();
+        this.save();
+    }
+    
+    setMusicEnabled(enabled) {
+        this.settings.musicEnabled = enabled;
+        this.save();
+        if (!enabled) this.stopMusic();
+    }
+    
+    applyVolumes() {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        this.masterGain.gain.setTargetAtTime(this.settings.muted ? 0 : this.settings.master, now, 0.02);
+        this.effectsGain.gain.setTargetAtTime(this.settings.effects, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.settings.music, now, 0.02);
+    }
+    
+    get ready() {
+        return this.context !== null && !this.settings.muted;
+    }
+    
+    // A single enveloped oscillator note, optionally sliding to endFrequency
+    tone({ type = 'sine', frequency, endFrequency = frequency, start = 0, duration, volume = 0.3, output = this.effectsGain }) {
+        const time = this.context.currentTime + start;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        if (endFrequency !== frequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+        }
+        
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.02);
+    }
+    
+    // A burst of filtered noise
+    noise({ filter = 'bandpass', frequency, q = 1, duration, volume = 0.3 }) {
+        const time = this.context.currentTime;
+        const source = this.context.createBufferSource();
+        const biquad = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        
+        source.buffer = this.noiseBuffer;
+        biquad.type = filter;
+        biquad.frequency.value = frequency;
+        biquad.Q.value = q;
+        
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        
+        source.connect(biquad);
+        biquad.connect(gain);
+        gain.connect(this.effectsGain);
+        source.start(time);
+        source.stop(time + duration + 0.02);
+    }
+    
+    shot() {
+        if (!this.ready) return;
+        this.noise({ filter: 'bandpass', frequency: 1800, q: 0.8, duration: 0.12, volume: 0.35 });
+        this.tone({ type: 'sine', frequency: 160, endFrequency: 60, duration: 0.12, volume: 0.4 });
+    }
+    
+    // Bigger balloons pop lower
+    pop(radius = 40) {
+        if (!this.ready) return;
+        const pitch = clamp(16000 / radius, 250, 1200);
+        this.noise({ filter: 'highpass', frequency: pitch * 2, duration: 0.08, volume: 0.4 });
+        this.tone({ type: 'triangle', frequency: pitch, endFrequency: pitch / 3, duration: 0.15, volume: 0.3 });
+    }
+    
+    miss() {
+        if (!this.ready) return;
+        this.tone({ type: 'triangle', frequency: 320, endFrequency: 140, duration: 0.18, volume: 0.15 });
+    }
+    
+    // Countdown tick - more urgent in the last three seconds
+    tick(secondsLeft) {
+        if (!this.ready) return;
+        const frequency = secondsLeft <= 3 ? 1320 : 880;
+        this.tone({ type: 'square', frequency, duration: 0.06, volume: 0.1 });
+    }
+    
+    gameOver() {
+        if (!this.ready) return;
+        const notes = [523.25, 659.25, 783.99, 1046.50]; // C major arpeggio
+        notes.forEach((frequency, i) => {
+            this.tone({ type: 'triangle', frequency, start: i * 0.14, duration: i === notes.length - 1 ? 0.6 : 0.18, volume: 0.25 });
+        });
+    }
+    
+    startMusic() {
+        if (!this.context || !this.settings.musicEnabled || this.musicTimer) return;
+        
+        // Schedule notes a little ahead on the audio clock so timer jitter
+        // doesn't make the rhythm wobble
+        const stepLength = 60 / MUSIC_TEMPO / 2;
+        let step = 0;
+        let nextStepTime = this.context.currentTime + 0.1;
+        
+        const schedule = () => {
+            while (nextStepTime < this.context.currentTime + 0.3) {
+                const chord = MUSIC_CHORDS[Math.floor(step / 8) % MUSIC_CHORDS.length];
+                const start = nextStepTime - this.context.currentTime;
+                
+                if (step % 8 === 0) {
+                    // Bass note on the first beat of each bar
+                    this.tone({ type: 'sine', frequency: chord[0] / 2, start, duration: stepLength * 7, volume: 0.25, output: this.musicGain });
+                }
+                this.tone({ type: 'triangle', frequency: chord[step % 3] * 2, start, duration: stepLength * 0.9, volume: 0.08, output: this.musicGain });
+                
+                nextStepTime += stepLength;
+                step++;
+            }
+        };
+        
+        schedule();
+        this.musicTimer = setInterval(schedule, 100);
+    }
+    
+    stopMusic() {
+        if (this.musicTimer) {
+            clearInterval(this.musicTimer);
+            this.musicTimer = null;
+        }
+    }
+}
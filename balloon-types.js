@@ -0,0 +1,79 @@
+// Balloon types
+// Everything that makes a balloon special lives here as data: spawn weight,
+// size, speed, how many hits it takes and what popping it does. Add an entry
+// to get a new kind of balloon - the game loop reads these fields generically.
+//
+// Fields (all optional except weight):
+//   weight          Relative spawn chance (0 = only spawned by other balloons)
+//   color, points   Fixed colour/points; omitted = random from balloonColors
+//   radius          [min, max] radius in pixels
+//   speed           Multiplier on the normal rise speed
+//   hits            Hits needed to pop; cracks show as it takes damage
+//   timeBonus       Seconds added to the clock in timed modes
+//   split           { type, count } balloons released when it pops
+//   icon            Text drawn in the middle of the balloon
+//   outline         Rim colour
+//   glow            Glow colour
+//   popEffects      Particle emitters played when it pops (see entities.js),
+//                   default ['shreds']
+//   requires        Mode field that must be set for it to spawn (e.g. 'timeLimit')
+//   harmlessEscape  Escaping costs no life and doesn't break combos
+
+const BALLOON_TYPES = {
+    standard: {
+        weight: 80,
+        radius: [30, 50]
+    },
+    bomb: {
+        weight: 6,
+        color: '#2C3E50',
+        points: -50,
+        radius: [32, 40],
+        icon: '💣',
+        harmlessEscape: true
+    },
+    clock: {
+        weight: 5,
+        color: '#5DADE2',
+        points: 5,
+        radius: [32, 40],
+        timeBonus: 5,
+        icon: '⏱️',
+        popEffects: ['shreds', 'sparkles'],
+        requires: 'timeLimit'
+    },
+    armored: {
+        weight: 6,
+        color: '#95A5A6',
+        points: 60,
+        radius: [42, 50],
+        speed: 0.7,
+        hits: 3,
+        outline: '#5D6D7E'
+    },
+    splitter: {
+        weight: 5,
+        color: '#E67E22',
+        points: 20,
+        radius: [38, 46],
+        icon: '✸',
+        split: { type: 'mini', count: 3 }
+    },
+    mini: {
+        weight: 0,
+        color: '#F5B041',
+        points: 15,
+        radius: [14, 18],
+        speed: 2.2
+    },
+    golden: {
+        weight: 1,
+        color: '#FFD700',
+        points: 200,
+        radius: [28, 34],
+        speed: 1.6,
+        icon: '★',
+        glow: '#FFF3B0',
+        popEffects: ['shreds', 'confetti', 'sparkles']
+    }
+};
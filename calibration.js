@@ -0,0 +1,211 @@
+// Gesture calibration
+// Measures a player's pushes and pinches and derives personal recognizer
+// thresholds, saved as named profiles in localStorage.
+
+const PROFILE_STORAGE_KEY = 'balloonPop.profiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'balloonPop.activeProfile';
+
+class ProfileStore {
+    list() {
+        try {
+            const profiles = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+            return Array.isArray(profiles) ? profiles : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    get(name) {
+        return this.list().find(profile => profile.name === name) || null;
+    }
+    
+    save(profile) {
+        const profiles = this.list().filter(existing => existing.name !== profile.name);
+        profiles.push(profile);
+        profiles.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+    }
+    
+    remove(name) {
+        const profiles = this.list().filter(profile => profile.name !== name);
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+        if (this.getActiveName() === name) this.setActiveName(null);
+    }
+    
+    getActiveName() {
+        return localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    }
+    
+    setActiveName(name) {
+        if (name) {
+            localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+        } else {
+            localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+        }
+    }
+}
+
+class CalibrationWizard {
+    constructor(repetitions = 3) {
+        this.steps = [
+            { id: 'push', instruction: 'Push your hand quickly toward the camera, then relax', samples: [] },
+            { id: 'pinch', instruction: 'Pinch your thumb and index finger together, then open', samples: [] }
+        ];
+        this.repetitions = repetitions;
+        this.stepIndex = 0;
+        
+        // Live readouts for the calibration screen
+        this.velocity = 0;
+        this.pinchDistance = 0;
+        
+        this.resetMotion();
+    }
+    
+    get step() {
+        return this.steps[this.stepIndex] || null;
+    }
+    
+    get done() {
+        return this.stepIndex >= this.steps.length;
+    }
+    
+    resetMotion() {
+        this.wristHistory = [];
+        this.push = null;
+        this.distanceHistory = [];
+        this.pinch = null;
+    }
+    
+    // Feed one frame of landmarks; returns true when the current step advanced
+    update(landmarks, timestamp) {
+        if (this.done) return false;
+        
+        const completed = this.step.id === 'push'
+            ? this.measurePush(landmarks, timestamp)
+            : this.measurePinch(landmarks, timestamp);
+        
+        if (completed) {
+            this.step.samples.push(completed);
+            if (this.step.samples.length >= this.repetitions) {
+                this.stepIndex++;
+                this.resetMotion();
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Hand left the frame - drop any half-measured motion
+    handLost() {
+        this.resetMotion();
+        this.velocity = 0;
+        this.pinchDistance = 0;
+    }
+    
+    // Uses the same wrist z-velocity as RecoilRecognizer so the thresholds line up
+    measurePush(landmarks, timestamp) {
+        const z = landmarks[LANDMARKS.WRIST].z;
+        this.wristHistory.push({ z, timestamp });
+        if (this.wristHistory.length > 5) this.wristHistory.shift();
+        if (this.wristHistory.length < 5) return null;
+        
+        const oldest = this.wristHistory[0];
+        const timeDiff = timestamp - oldest.timestamp;
+        if (timeDiff < 10) return null;
+        
+        const velocity = (z - oldest.z) / (timeDiff / 1000);
+        this.velocity = velocity;
+        
+        const startVelocity = 0.004; // Anything slower is just drift
+        if (!this.push) {
+            if (velocity > startVelocity) {
+                this.push = { start: timestamp, peakVelocity: velocity, zMax: z, zMin: z };
+            }
+            return null;
+        }
+        
+        const push = this.push;
+        push.peakVelocity = Math.max(push.peakVelocity, velocity);
+        if (z > push.zMax) {
+            // Still moving forward - the travel back is measured from the new peak
+            push.zMax = z;
+            push.zMin = z;
+        } else {
+            push.zMin = Math.min(push.zMin, z);
+        }
+        
+        // The push is over once the hand has settled or enough time has passed
+        const settled = velocity > -startVelocity / 2 && velocity < startVelocity / 2;
+        if ((settled && timestamp - push.start > 150) || timestamp - push.start > 800) {
+            this.push = null;
+            return { peakVelocity: push.peakVelocity, zRange: push.zMax - push.zMin };
+        }
+        return null;
+    }
+    
+    // Uses the same thumb-index distance as PinchRecognizer
+    measurePinch(landmarks, timestamp) {
+        const thumbTip = landmarks[LANDMARKS.THUMB_TIP];
+        const indexTip = landmarks[LANDMARKS.INDEX_TIP];
+        const distance = Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y);
+        this.pinchDistance = distance;
+        
+        // Open hand distance is the widest spread over the last second
+        this.distanceHistory.push({ distance, timestamp });
+        while (timestamp - this.distanceHistory[0].timestamp > 1000) {
+            this.distanceHistory.shift();
+        }
+        const open = Math.max(...this.distanceHistory.map(sample => sample.distance));
+        
+        if (!this.pinch) {
+            if (distance < open * 0.5) {
+                this.pinch = { open, closed: distance };
+            }
+            return null;
+        }
+        
+        this.pinch.closed = Math.min(this.pinch.closed, distance);
+        
+        // Released again
+        if (distance > this.pinch.open * 0.8) {
+            const pinch = this.pinch;
+            this.pinch = null;
+            return { open: pinch.open, closed: pinch.closed };
+        }
+        return null;
+    }
+    
+    // Personal thresholds derived from the measured samples
+    result() {
+        const pushes = this.steps[0].samples;
+        const pinches = this.steps[1].samples;
+        
+        const peakVelocity = median(pushes.map(sample => sample.peakVelocity));
+        const zRange = median(pushes.map(sample => sample.zRange));
+        const closed = median(pinches.map(sample => sample.closed));
+        const open = median(pinches.map(sample => sample.open));
+        
+        // Trigger a bit below what the player actually did so a lazier
+        // repetition still counts
+        return {
+            recoil: {
+                threshold: round4(clamp(peakVelocity * 0.6, 0.005, 0.2)),
+                zRange: round4(clamp(zRange * 0.6, 0.005, 0.2))
+            },
+            pinch: {
+                threshold: round4(clamp(closed + (open - closed) * 0.35, 0.02, 0.15))
+            }
+        };
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round4(value) {
+    return Math.round(value * 10000) / 10000;
+}
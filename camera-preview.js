@@ -0,0 +1,155 @@
+// Camera preview
+// An optional picture-in-picture of the webcam with the tracked hand
+// skeletons drawn over it and live readouts of what the gesture recognizers
+// see, so players can tell when tracking has lost them or why a gesture
+// didn't register. It can be dragged to any corner of the game screen.
+
+const CAMERA_PREVIEW_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const CAMERA_PREVIEW_FLASH_TIME = 300; // ms a gesture flash stays up
+
+// Bones of MediaPipe's 21-point hand model, as pairs of landmark indices
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8], // Index finger
+    [5, 9], [9, 10], [10, 11], [11, 12], // Middle finger
+    [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
+    [13, 17], [17, 18], [18, 19], [19, 20], [0, 17] // Little finger and palm
+];
+
+class CameraPreview {
+    // onMove(corner) is called when the player drags the preview to a new corner
+    constructor(elementId, video, onMove = () => {}) {
+        this.element = document.getElementById(elementId);
+        this.video = video;
+        this.canvas = this.element.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.readouts = this.element.querySelector('.camera-preview-readouts');
+        this.flashLabel = this.element.querySelector('.camera-preview-flash');
+        this.onMove = onMove;
+        this.visible = false;
+        this.flashTimer = null;
+        
+        this.enableDragging();
+    }
+    
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.style.display = visible ? '' : 'none';
+        if (visible) this.update([]);
+    }
+    
+    // Mirrored to match the cursor when the mirror setting is on
+    setMirrored(mirrored) {
+        this.element.classList.toggle('mirrored', mirrored);
+    }
+    
+    setCorner(corner) {
+        if (!CAMERA_PREVIEW_CORNERS.includes(corner)) corner = 'top-right';
+        CAMERA_PREVIEW_CORNERS.forEach(c => this.element.classList.toggle(`corner-${c}`, c === corner));
+        this.element.style.left = '';
+        this.element.style.top = '';
+    }
+    
+    // hands: [{ name, color, landmarks, confidence, recoilVelocity, pinchDistance }]
+    update(hands) {
+        if (!this.visible) return;
+        
+        this.fitCanvas();
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        hands.forEach(hand => this.drawSkeleton(hand.landmarks, hand.color));
+        
+        this.readouts.innerHTML = '';
+        if (hands.length === 0) {
+            this.addReadout('No hand detected', '#FF6B6B');
+        }
+        hands.forEach(hand => {
+            const name = hand.name ? `${hand.name}: ` : '';
+            this.addReadout(`${name}confidence ${Math.round(hand.confidence * 100)}%`, hand.color);
+            this.addReadout(`Recoil ${hand.recoilVelocity.toFixed(3)}/s · pinch ${hand.pinchDistance.toFixed(3)}`, hand.color);
+        });
+    }
+    
+    addReadout(text, color) {
+        const line = document.createElement('div');
+        line.textContent = text;
+        line.style.color = color;
+        this.readouts.appendChild(line);
+    }
+    
+    // Match the canvas to the video's shape and the size it is shown at
+    fitCanvas() {
+        if (this.video.videoWidth) {
+            this.element.style.setProperty('--camera-aspect', `${this.video.videoWidth} / ${this.video.videoHeight}`);
+        }
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+    
+    drawSkeleton(landmarks, color) {
+        const ctx = this.ctx;
+        const x = (point) => point.x * this.canvas.width;
+        const y = (point) => point.y * this.canvas.height;
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        HAND_CONNECTIONS.forEach(([from, to]) => {
+            ctx.moveTo(x(landmarks[from]), y(landmarks[from]));
+            ctx.lineTo(x(landmarks[to]), y(landmarks[to]));
+        });
+        ctx.stroke();
+        
+        ctx.fillStyle = '#FFFFFF';
+        landmarks.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(x(point), y(point), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    
+    // Briefly highlights the preview with the name of the gesture that fired
+    flash(label) {
+        if (!this.visible) return;
+        
+        this.flashLabel.textContent = label;
+        this.element.classList.add('flash');
+        clearTimeout(this.flashTimer);
+        this.flashTimer = setTimeout(() => this.element.classList.remove('flash'), CAMERA_PREVIEW_FLASH_TIME);
+    }
+    
+    // Drag anywhere, then snap to the nearest corner
+    enableDragging() {
+        let offset = null;
+        
+        this.element.addEventListener('pointerdown', (e) => {
+            const rect = this.element.getBoundingClientRect();
+            offset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            this.element.setPointerCapture(e.pointerId);
+            this.element.classList.add('dragging');
+        });
+        this.element.addEventListener('pointermove', (e) => {
+            if (!offset) return;
+            CAMERA_PREVIEW_CORNERS.forEach(c => this.element.classList.remove(`corner-${c}`));
+            this.element.style.left = `${e.clientX - offset.x}px`;
+            this.element.style.top = `${e.clientY - offset.y}px`;
+        });
+        const drop = () => {
+            if (!offset) return;
+            offset = null;
+            this.element.classList.remove('dragging');
+            
+            const rect = this.element.getBoundingClientRect();
+            const vertical = rect.top + rect.height / 2 < window.innerHeight / 2 ? 'top' : 'bottom';
+            const horizontal = rect.left + rect.width / 2 < window.innerWidth / 2 ? 'left' : 'right';
+            const corner = `${vertical}-${horizontal}`;
+            this.setCorner(corner);
+            this.onMove(corner);
+        };
+        this.element.addEventListener('pointerup', drop);
+        this.element.addEventListener('pointercancel', drop);
+    }
+}
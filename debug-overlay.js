@@ -0,0 +1,78 @@
+// Debug overlay
+// Frame rate, frame time, entity counts and hand tracking latency, for
+// checking the game keeps up on slow machines. Toggle it with F3 or open
+// the game with ?debug in the URL.
+
+const DEBUG_SAMPLE_FRAMES = 60; // Frames averaged for the frame rate
+const DEBUG_REFRESH_INTERVAL = 250; // ms between text updates
+
+class DebugOverlay {
+    constructor(elementId) {
+        this.element = document.getElementById(elementId);
+        this.visible = false;
+        
+        // Ring buffer of recent frame timestamps
+        this.frameTimestamps = new Array(DEBUG_SAMPLE_FRAMES).fill(0);
+        this.frameIndex = 0;
+        this.frameCount = 0;
+        
+        this.workTime = 0; // ms per frame spent updating and drawing
+        this.inferenceTime = null; // ms per MediaPipe frame; null until measured
+        this.lastRefresh = -Infinity;
+    }
+    
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.style.display = visible ? '' : 'none';
+        this.lastRefresh = -Infinity;
+    }
+    
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+    
+    // timestamp is the requestAnimationFrame time; workTime how long the
+    // frame's update and render took
+    recordFrame(timestamp, workTime) {
+        this.frameTimestamps[this.frameIndex] = timestamp;
+        this.frameIndex = (this.frameIndex + 1) % DEBUG_SAMPLE_FRAMES;
+        this.frameCount = Math.min(this.frameCount + 1, DEBUG_SAMPLE_FRAMES);
+        this.workTime = smooth(this.workTime, workTime);
+    }
+    
+    recordInference(milliseconds) {
+        this.inferenceTime = this.inferenceTime === null ? milliseconds : smooth(this.inferenceTime, milliseconds);
+    }
+    
+    // Average ms between frames over the sample window
+    get frameTime() {
+        if (this.frameCount < 2) return 0;
+        const newest = this.frameTimestamps[(this.frameIndex - 1 + DEBUG_SAMPLE_FRAMES) % DEBUG_SAMPLE_FRAMES];
+        const oldest = this.frameTimestamps[(this.frameIndex - this.frameCount + DEBUG_SAMPLE_FRAMES) % DEBUG_SAMPLE_FRAMES];
+        return (newest - oldest) / (this.frameCount - 1);
+    }
+    
+    get fps() {
+        return this.frameTime > 0 ? 1000 / this.frameTime : 0;
+    }
+    
+    // counts: { balloons, particles, sprites }
+    refresh(timestamp, counts) {
+        if (!this.visible || timestamp - this.lastRefresh < DEBUG_REFRESH_INTERVAL) return;
+        this.lastRefresh = timestamp;
+        
+        this.element.textContent = [
+            `FPS        ${this.fps.toFixed(1)}`,
+            `Frame      ${this.frameTime.toFixed(1)} ms (work ${this.workTime.toFixed(2)} ms)`,
+            `Balloons   ${counts.balloons}`,
+            `Particles  ${counts.particles}`,
+            `Sprites    ${counts.sprites}`,
+            `MediaPipe  ${this.inferenceTime === null ? '-' : `${this.inferenceTime.toFixed(1)} ms`}`
+        ].join('\n');
+    }
+}
+
+// Exponential moving average, so readings don't flicker
+function smooth(average, value) {
+    return average + (value - average) * 0.1;
+}
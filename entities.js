@@ -0,0 +1,205 @@
+// Entities and particles
+// Everything short-lived on screen is updated and drawn by the main game
+// loop. Particles come from a fixed-size pool so bursts of pops don't churn
+// the garbage collector, and dead entities are dropped by compacting arrays
+// in place rather than splicing them one by one.
+
+const PARTICLE_CAPACITY = 800; // Bursts beyond this are trimmed
+
+const CONFETTI_COLORS = ['#FF6B6B', '#F7DC6F', '#4ECDC4', '#BB8FCE', '#45B7D1', '#FFFFFF'];
+
+const PARTICLE_DEFAULTS = {
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    gravity: 0.2, // Added to vy per tick
+    drag: 1, // vx and vy are multiplied by this per tick
+    life: 1,
+    decay: 0.03, // Life lost per tick
+    size: 5,
+    color: '#FFFFFF',
+    shape: 'circle', // 'circle', 'rect', 'shred' or 'sparkle'
+    rotation: 0,
+    spin: 0
+};
+
+// Keeps the items for which keep(item) is true, in order, without
+// allocating a new array
+function retain(items, keep) {
+    let kept = 0;
+    for (let i = 0; i < items.length; i++) {
+        if (keep(items[i])) items[kept++] = items[i];
+    }
+    items.length = kept;
+    return items;
+}
+
+// Emitters spawn a burst of particles. options: color and radius of what
+// burst, random (a SeededRandom) and amount (1 = a full burst)
+const PARTICLE_EMITTERS = {
+    // Torn rubber flying out of a popped balloon
+    shreds(system, x, y, { color, radius = 40, random, amount = 1 }) {
+        const count = Math.round(10 * amount);
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 / count) * i + random.range(-0.3, 0.3);
+            const speed = random.range(3, 8) * Math.sqrt(amount);
+            system.spawn({
+                x: x + Math.cos(angle) * radius * 0.5,
+                y: y + Math.sin(angle) * radius * 0.5,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                gravity: 0.25,
+                drag: 0.97,
+                decay: random.range(0.02, 0.035),
+                size: random.range(4, 9),
+                color: color,
+                shape: 'shred',
+                rotation: random.range(0, Math.PI * 2),
+                spin: random.range(-0.3, 0.3)
+            });
+        }
+    },
+    
+    // Paper confetti for big moments - slow to fall, flutters as it spins
+    confetti(system, x, y, { random, amount = 1 }) {
+        const count = Math.round(24 * amount);
+        for (let i = 0; i < count; i++) {
+            system.spawn({
+                x: x,
+                y: y,
+                vx: random.range(-5, 5),
+                vy: random.range(-9, -3),
+                gravity: 0.15,
+                drag: 0.96,
+                decay: random.range(0.008, 0.015),
+                size: random.range(5, 9),
+                color: random.pick(CONFETTI_COLORS),
+                shape: 'rect',
+                rotation: random.range(0, Math.PI * 2),
+                spin: random.range(-0.2, 0.2)
+            });
+        }
+    },
+    
+    // Twinkling glints that hang in the air
+    sparkles(system, x, y, { color = '#FFF3B0', radius = 40, random, amount = 1 }) {
+        const count = Math.round(8 * amount);
+        for (let i = 0; i < count; i++) {
+            const angle = random.range(0, Math.PI * 2);
+            const distance = random.range(0, radius);
+            system.spawn({
+                x: x + Math.cos(angle) * distance,
+                y: y + Math.sin(angle) * distance,
+                vx: Math.cos(angle) * 0.5,
+                vy: Math.sin(angle) * 0.5 - 0.5,
+                gravity: 0,
+                decay: random.range(0.02, 0.04),
+                size: random.range(4, 8),
+                color: color,
+                shape: 'sparkle',
+                spin: 0.1
+            });
+        }
+    }
+};
+
+class ParticleSystem {
+    constructor(capacity = PARTICLE_CAPACITY) {
+        this.capacity = capacity;
+        this.active = [];
+        this.pool = []; // Dead particles waiting to be reused
+    }
+    
+    get count() {
+        return this.active.length;
+    }
+    
+    // Returns the new particle, or null when the system is full
+    spawn(properties) {
+        if (this.active.length >= this.capacity) return null;
+        
+        const particle = this.pool.pop() || {};
+        Object.assign(particle, PARTICLE_DEFAULTS, properties);
+        this.active.push(particle);
+        return particle;
+    }
+    
+    emit(emitter, x, y, options) {
+        PARTICLE_EMITTERS[emitter](this, x, y, options);
+    }
+    
+    // Advances every particle by one tick
+    update() {
+        retain(this.active, p => {
+            p.vx *= p.drag;
+            p.vy = p.vy * p.drag + p.gravity;
+            p.x += p.vx;
+            p.y += p.vy;
+            p.rotation += p.spin;
+            p.life -= p.decay;
+            
+            if (p.life > 0) return true;
+            this.pool.push(p);
+            return false;
+        });
+    }
+    
+    clear() {
+        this.active.forEach(p => this.pool.push(p));
+        this.active.length = 0;
+    }
+    
+    draw(ctx) {
+        ctx.save();
+        this.active.forEach(p => {
+            ctx.globalAlpha = Math.min(p.life, 1);
+            ctx.fillStyle = p.color;
+            
+            switch (p.shape) {
+                case 'rect':
+                    // Squash the width with the spin so confetti seems to flip over
+                    ctx.save();
+                    ctx.translate(p.x, p.y);
+                    ctx.rotate(p.rotation);
+                    ctx.fillRect(-p.size / 2, -p.size / 4, p.size * Math.cos(p.rotation * 3), p.size / 2);
+                    ctx.restore();
+                    break;
+                case 'shred':
+                    ctx.save();
+                    ctx.translate(p.x, p.y);
+                    ctx.rotate(p.rotation);
+                    ctx.beginPath();
+                    ctx.moveTo(-p.size / 2, -p.size / 3);
+                    ctx.lineTo(p.size / 2, -p.size / 4);
+                    ctx.lineTo(p.size / 3, p.size / 3);
+                    ctx.lineTo(-p.size / 3, p.size / 4);
+                    ctx.closePath();
+                    ctx.fill();
+                    ctx.restore();
+                    break;
+                case 'sparkle': {
+                    // Four-pointed star that pulses as it fades
+                    const size = p.size * (0.6 + 0.4 * Math.sin(p.rotation * 5));
+                    ctx.beginPath();
+                    ctx.moveTo(p.x, p.y - size);
+                    ctx.lineTo(p.x + size / 4, p.y - size / 4);
+                    ctx.lineTo(p.x + size, p.y);
+                    ctx.lineTo(p.x + size / 4, p.y + size / 4);
+                    ctx.lineTo(p.x, p.y + size);
+                    ctx.lineTo(p.x - size / 4, p.y + size / 4);
+                    ctx.lineTo(p.x - size, p.y);
+                    ctx.lineTo(p.x - size / 4, p.y - size / 4);
+                    ctx.closePath();
+                    ctx.fill();
+                    break;
+                }
+                default:
+                    ctx.beginPath();
+                    ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+                    ctx.fill();
+            }
+        });
+        ctx.restore();
+    }
+}
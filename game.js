@@ -6,41 +6,96 @@ class BalloonGame {
         this.canvas = document.getElementById('game-canvas');
         this.ctx = this.canvas.getContext('2d');
         this.video = document.getElementById('webcam');
-        this.landmarkCanvas = document.getElementById('landmark-canvas');
-        this.landmarkCtx = this.landmarkCanvas.getContext('2d');
         
         // Game state
+        this.modeId = 'classic';
+        this.mode = GAME_MODES.classic; // See modes.js
         this.score = 0;
         this.timeLeft = 60;
+        this.elapsedTime = 0; // seconds, for modes without a time limit
+        this.lives = 0;
+        this.ammo = 0;
+        this.stats = new RoundStats(); // See stats.js
+        this.leaderboard = new Leaderboard(); // See leaderboard.js
+        this.sound = new SoundEngine(); // See audio.js
+        this.settings = new SettingsStore(); // See settings.js
+        this.difficulty = DIFFICULTIES.normal;
+        this.pendingHighScore = null;
         this.gameRunning = false;
         this.balloons = [];
-        this.handPosition = null;
-        
-        // Recoil gesture detection
-        this.handPositionHistory = [];
-        this.maxHistorySize = 15; // Number of frames to track
-        this.isRecoiling = false;
-        this.recoilVelocity = 0;
-        this.recoilThreshold = 0.015; // Minimum velocity to detect recoil
-        this.recoilDetectionCooldown = 300; // ms between shots
-        this.lastRecoilTime = 0;
-        
-        // Legacy pinch gesture (still available as fallback)
-        this.isPinching = false;
-        this.wasPinching = false;
-        this.pinchDistance = 0;
-        this.pinchThreshold = 0.05; // Normalized distance threshold for pinch
-        this.lastShotTime = 0;
+        
+        // Pausing freezes the game clock; resuming counts back in
+        this.paused = false;
+        this.pauseReason = null; // 'manual', 'gesture', 'hidden' or 'hand-lost'
+        this.resumeTimer = null;
+        this.resumeCountdown = 3; // seconds
+        this.handLostTimeout = 3000; // ms without a hand before auto-pausing
+        this.lastHandSeen = null;
+        
+        // Levels (see levels.js) - level is null when playing a normal mode
+        this.levelProgress = new LevelProgress();
+        this.customLevels = [];
+        this.level = null;
+        this.waveSpawner = null;
+        
+        // Seeded randomness (see random.js). Scheduled spawns get their own
+        // stream so the balloon sequence doesn't depend on how the round is played
+        this.seed = null;
+        this.seedOverride = null; // From the ?seed= URL parameter
+        this.setSeed(SeededRandom.randomSeed());
+        
+        // Players: one per tracked hand. Solo uses a single player; co-op and
+        // versus track two hands, each with its own cursor, gestures and cooldown
+        this.playerMode = 'solo'; // 'solo', 'coop' or 'versus'
+        this.players = [];
         this.shootCooldown = 200; // ms between shots
         
-        // Timing
+        // Combos: hits in quick succession build a score multiplier
+        this.comboWindow = 2000; // ms allowed between hits
+        this.comboStep = 3; // Hits per multiplier level
+        this.maxMultiplier = 5;
+        this.scorePopups = [];
+        
+        // Timing - the simulation advances in fixed steps of game time,
+        // independent of how often the display refreshes
+        this.fixedStep = 1000 / 60; // ms of game time per simulation tick
+        this.maxFrameTime = 250; // Longest real-time gap simulated at once (e.g. after a tab stall)
+        this.gameTime = 0; // ms of game time since the round started
+        this.accumulator = 0;
+        this.lastFrameTime = null;
         this.lastBalloonSpawn = 0;
         this.balloonSpawnRate = 1000; // ms between spawns
-        this.gameStartTime = 0;
+        this.particles = new ParticleSystem(); // See entities.js
         
-        // Hand tracking
-        this.hands = null;
-        this.camera = null;
+        // Rendering: pre-drawn sprites (see sprites.js) and the F3 debug overlay
+        this.sprites = new SpriteCache();
+        this.debugOverlay = new DebugOverlay('debug-overlay');
+        
+        // Hand tracking (see hand-tracker.js)
+        this.handTracker = null;
+        this.handTrackerKey = null; // Options the tracker was loaded with
+        this.camera = null; // The frame loop feeding it
+        this.cameraPreview = new CameraPreview('camera-preview', this.video, (corner) => {
+            this.settings.set('cameraPreviewCorner', corner);
+        });
+        
+        // Session log of every round, and watching it back (see session-log.js)
+        this.sessionLog = new SessionLog();
+        this.playback = null;
+        this.playbackReturnScreen = 'gameover-screen';
+        this.videoRecorder = new CanvasVideoRecorder(this.canvas);
+        this.nextBalloonId = 0;
+        this.updating = false; // True while a fixed step runs
+        
+        // Per-player gesture calibration
+        this.profiles = new ProfileStore();
+        this.activeProfile = null;
+        this.calibration = null;
+        
+        // Landmark recording and replay
+        this.recorder = new HandRecorder();
+        this.replayRecording = null;
+        this.replayer = null;
         
         // Colors for balloons
         this.balloonColors = [
@@ -53,313 +108,1498 @@ class BalloonGame {
             { color: '#BB8FCE', points: 40 }
         ];
         
-        this.setupEventListeners();
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
+        // Accessibility (see accessibility.js): palette, motion and announcements
+        this.balloonPatterns = new BalloonPatterns();
+        this.announcer = new Announcer('announcer', 'announcer-urgent');
+        this.nextMilestone = 0; // Index into SCORE_MILESTONES
+        this.applyAccessibility();
+        
+        // Display names for shot sources in the stats screen
+        this.inputMethodNames = {
+            recoil: 'Recoil',
+            pinch: 'Pinch',
+            hammer: 'Thumb hammer',
+            click: 'Click',
+            touch: 'Touch',
+            keyboard: 'Keyboard',
+            gamepad: 'Gamepad'
+        };
+        
+        // Cursor colours per player seat
+        this.playerColors = ['#FF3B3B', '#2F80ED'];
+        
+        this.setupEventListeners();
+        this.applyProfile(this.profiles.getActiveName());
+        this.players = this.createPlayers();
+        this.applyUrlParams();
+        this.renderSoundSettings();
+        this.renderProfileOptions();
+        this.renderModeOptions();
+        this.resizeCanvas();
+        window.addEventListener('resize', () => this.resizeCanvas());
+    }
+    
+    setupEventListeners() {
+        document.getElementById('start-btn').addEventListener('click', () => this.startGame());
+        document.getElementById('restart-btn').addEventListener('click', () => this.startGame());
+        document.getElementById('menu-btn').addEventListener('click', () => this.showMenu());
+        document.getElementById('retry-btn').addEventListener('click', () => this.startGame());
+        document.getElementById('next-level-btn').addEventListener('click', () => this.playLevel(this.nextLevel()));
+        
+        // Level select
+        document.getElementById('levels-btn').addEventListener('click', () => this.showLevelSelect());
+        document.getElementById('level-back-btn').addEventListener('click', () => this.showMenu());
+        document.getElementById('load-level-btn').addEventListener('click', () => {
+            document.getElementById('level-file').click();
+        });
+        document.getElementById('level-file').addEventListener('change', (e) => this.loadLevelFile(e));
+        document.getElementById('error-menu-btn').addEventListener('click', () => this.showMenu());
+        document.getElementById('no-camera-btn').addEventListener('click', () => {
+            this.settings.set('inputMode', 'no-camera');
+            this.startGame();
+        });
+        
+        // Leaderboard
+        document.getElementById('save-score-btn').addEventListener('click', () => this.saveHighScore());
+        document.getElementById('highscore-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveHighScore();
+        });
+        document.getElementById('export-scores-btn').addEventListener('click', () => this.leaderboard.download());
+        document.getElementById('import-scores-btn').addEventListener('click', () => {
+            document.getElementById('import-scores-file').click();
+        });
+        document.getElementById('import-scores-file').addEventListener('change', (e) => this.importScores(e));
+        
+        // Settings
+        document.getElementById('settings-btn').addEventListener('click', () => this.showSettings());
+        document.getElementById('settings-back-btn').addEventListener('click', () => this.showMenu());
+        document.getElementById('setting-modelPath').addEventListener('change', (e) => {
+            this.settings.set('modelPath', e.target.value.trim());
+        });
+        ['palette', 'motion'].forEach(key => {
+            document.getElementById(`setting-${key}`).addEventListener('change', (e) => {
+                this.settings.set(key, e.target.value);
+                this.applyAccessibility();
+            });
+        });
+        document.getElementById('setting-largeCrosshair').addEventListener('change', (e) => {
+            this.settings.set('largeCrosshair', e.target.checked);
+        });
+        ['cursorSmoothing', 'aimAssist', 'controlScheme'].forEach(key => {
+            document.getElementById(`setting-${key}`).addEventListener('change', (e) => {
+                this.settings.set(key, e.target.value);
+            });
+        });
+        document.getElementById('setting-hitTolerance').addEventListener('change', (e) => {
+            this.settings.set('hitTolerance', Number(e.target.value));
+        });
+        ['roundLength', 'difficulty', 'inputMode', 'cameraDeviceId', 'cameraResolution'].forEach(key => {
+            document.getElementById(`setting-${key}`).addEventListener('change', (e) => {
+                this.settings.set(key, key === 'roundLength' ? Number(e.target.value) : e.target.value);
+                this.renderLeaderboard('start-leaderboard');
+            });
+        });
+        document.getElementById('setting-minDetectionConfidence').addEventListener('input', (e) => {
+            this.settings.set('minDetectionConfidence', Number(e.target.value));
+            document.getElementById('setting-confidence-value').textContent = Number(e.target.value).toFixed(2);
+        });
+        document.getElementById('setting-mirror').addEventListener('change', (e) => {
+            this.settings.set('mirror', e.target.checked);
+        });
+        document.getElementById('setting-palmPause').addEventListener('change', (e) => {
+            this.settings.set('palmPause', e.target.checked);
+        });
+        document.getElementById('setting-cameraPreview').addEventListener('change', (e) => {
+            this.settings.set('cameraPreview', e.target.checked);
+        });
+        document.querySelectorAll('[data-fire-gesture]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const fireGestures = { ...this.settings.get('fireGestures') };
+                fireGestures[checkbox.dataset.fireGesture] = checkbox.checked;
+                this.settings.set('fireGestures', fireGestures);
+            });
+        });
+        
+        // Sound settings
+        ['master', 'effects', 'music'].forEach(channel => {
+            document.getElementById(`volume-${channel}`).addEventListener('input', (e) => {
+                this.sound.setVolume(channel, e.target.value / 100);
+            });
+        });
+        document.getElementById('sound-muted').addEventListener('change', (e) => {
+            this.setMuted(e.target.checked);
+        });
+        document.getElementById('music-enabled').addEventListener('change', (e) => {
+            this.sound.setMusicEnabled(e.target.checked);
+        });
+        document.getElementById('mute-btn').addEventListener('click', () => {
+            this.setMuted(!this.sound.settings.muted);
+        });
+        
+        // Post-round statistics
+        document.getElementById('clear-seed-btn').addEventListener('click', () => this.clearSeedOverride());
+        document.getElementById('stats-btn').addEventListener('click', () => this.showStats());
+        document.getElementById('stats-back-btn').addEventListener('click', () => this.showScreen('gameover-screen'));
+        
+        // Recording and replay of hand landmark streams
+        document.getElementById('download-recording-btn').addEventListener('click', () => this.recorder.download());
+        document.getElementById('replay-btn').addEventListener('click', () => {
+            document.getElementById('replay-file').click();
+        });
+        document.getElementById('replay-file').addEventListener('change', (e) => this.loadReplay(e));
+        
+        // Session replays
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            this.startPlayback(SessionLog.validate(this.sessionLog.toJSON()), 'gameover-screen');
+        });
+        document.getElementById('export-replay-btn').addEventListener('click', () => this.sessionLog.download());
+        document.getElementById('import-session-btn').addEventListener('click', () => {
+            document.getElementById('import-session-file').click();
+        });
+        document.getElementById('import-session-file').addEventListener('change', (e) => this.importSession(e));
+        document.getElementById('playback-toggle-btn').addEventListener('click', () => this.togglePlayback());
+        document.getElementById('playback-restart-btn').addEventListener('click', () => this.restartPlayback());
+        document.getElementById('playback-speed').addEventListener('change', (e) => {
+            if (this.playback) this.playback.speed = Number(e.target.value);
+        });
+        document.getElementById('playback-video-btn').addEventListener('click', () => this.exportVideo());
+        document.getElementById('playback-close-btn').addEventListener('click', () => {
+            this.stopPlayback();
+            this.showScreen(this.playbackReturnScreen);
+        });
+        
+        document.getElementById('game-mode').addEventListener('change', (e) => this.selectMode(e.target.value));
+        document.getElementById('end-round-btn').addEventListener('click', () => {
+            if (this.gameRunning) this.endGame('quit');
+        });
+        
+        // Pause
+        document.getElementById('pause-btn').addEventListener('click', () => this.togglePause());
+        document.getElementById('resume-btn').addEventListener('click', () => this.startResumeCountdown());
+        document.getElementById('pause-end-btn').addEventListener('click', () => {
+            if (this.gameRunning) this.endGame('quit');
+        });
+        document.addEventListener('keydown', (e) => {
+            // Keys typed into a name field aren't shortcuts
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            
+            if (this.gameRunning && (e.key === 'p' || e.key === 'P' || e.key === 'Escape')) {
+                this.togglePause();
+            }
+            if (e.code === 'F3' || e.code === 'Backquote') {
+                e.preventDefault(); // F3 is find-in-page
+                this.debugOverlay.toggle();
+            }
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause('hidden');
+        });
+        document.getElementById('player-mode').addEventListener('change', (e) => {
+            this.playerMode = e.target.value;
+        });
+        
+        // Calibration and player profiles
+        document.getElementById('calibrate-btn').addEventListener('click', () => this.startCalibration());
+        document.getElementById('calibration-cancel-btn').addEventListener('click', () => this.cancelCalibration());
+        document.getElementById('calibration-save-btn').addEventListener('click', () => this.saveCalibration());
+        document.getElementById('profile-select').addEventListener('change', (e) => this.applyProfile(e.target.value));
+        document.getElementById('delete-profile-btn').addEventListener('click', () => {
+            if (!this.activeProfile) return;
+            this.profiles.remove(this.activeProfile.name);
+            this.applyProfile(null);
+            this.renderProfileOptions();
+        });
+        
+        // Mouse, touch, keyboard and gamepad (see input-devices.js). Clicks
+        // and taps always shoot; the rest only steer in no-camera mode.
+        this.input = new InputManager(this.canvas, {
+            aim: (index, x, y) => this.aimCursor(index, x, y),
+            move: (index, dx, dy) => this.moveCursor(index, dx, dy),
+            fire: (index, source) => {
+                const player = this.players[index];
+                if (player) this.shoot(player, source);
+            }
+        });
+    }
+    
+    resizeCanvas() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+    }
+    
+    showScreen(screenId) {
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+        document.getElementById(screenId).classList.add('active');
+    }
+    
+    renderModeOptions() {
+        const select = document.getElementById('game-mode');
+        select.innerHTML = '';
+        
+        Object.keys(GAME_MODES).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = GAME_MODES[id].name;
+            select.appendChild(option);
+        });
+        
+        select.value = this.modeId;
+        document.getElementById('mode-description').textContent = this.mode.description;
+        this.renderLeaderboard('start-leaderboard');
+    }
+    
+    selectMode(id) {
+        this.modeId = GAME_MODES[id] ? id : 'classic';
+        this.mode = GAME_MODES[this.modeId];
+        document.getElementById('mode-description').textContent = this.mode.description;
+        this.renderLeaderboard('start-leaderboard');
+    }
+    
+    currentBoardId() {
+        // Daily Challenge scores are only comparable with the same day's seed
+        let modeKey = this.mode.dailySeed ? `${this.modeId}-${this.roundSeed()}` : this.modeId;
+        
+        // Easy and hard rounds get their own boards
+        const difficulty = this.currentDifficultyId();
+        if (difficulty !== 'normal') modeKey += `-${difficulty}`;
+        
+        return Leaderboard.boardId(modeKey, this.roundLength() || null);
+    }
+    
+    // Seconds in a timed round, or 0 for untimed modes. Modes with fixed
+    // settings (Daily Challenge, levels) ignore the player's round length
+    roundLength() {
+        if (!this.mode.timeLimit) return 0;
+        return this.mode.fixedSettings ? this.mode.timeLimit : this.settings.get('roundLength');
+    }
+    
+    currentDifficultyId() {
+        const id = this.settings.get('difficulty');
+        return this.mode.fixedSettings || !DIFFICULTIES[id] ? 'normal' : id;
+    }
+    
+    currentHitTolerance() {
+        const pixels = this.settings.get('hitTolerance');
+        return this.mode.fixedSettings || !(pixels in HIT_TOLERANCES) ? SETTINGS_DEFAULTS.hitTolerance : pixels;
+    }
+    
+    async showSettings() {
+        const settings = this.settings;
+        
+        const roundLength = document.getElementById('setting-roundLength');
+        roundLength.innerHTML = '';
+        ROUND_LENGTHS.forEach(seconds => {
+            roundLength.appendChild(new Option(`${seconds} seconds`, seconds));
+        });
+        roundLength.value = settings.get('roundLength');
+        
+        const difficulty = document.getElementById('setting-difficulty');
+        difficulty.innerHTML = '';
+        Object.keys(DIFFICULTIES).forEach(id => {
+            difficulty.appendChild(new Option(DIFFICULTIES[id].name, id));
+        });
+        difficulty.value = settings.get('difficulty');
+        
+        const inputMode = document.getElementById('setting-inputMode');
+        inputMode.innerHTML = '';
+        Object.keys(INPUT_MODES).forEach(id => {
+            inputMode.appendChild(new Option(INPUT_MODES[id], id));
+        });
+        inputMode.value = settings.get('inputMode');
+        
+        const palette = document.getElementById('setting-palette');
+        palette.innerHTML = '';
+        Object.keys(BALLOON_PALETTES).forEach(id => {
+            palette.appendChild(new Option(BALLOON_PALETTES[id].name, id));
+        });
+        palette.value = settings.get('palette');
+        
+        const motion = document.getElementById('setting-motion');
+        motion.innerHTML = '';
+        Object.keys(MOTION_PREFERENCES).forEach(id => {
+            motion.appendChild(new Option(MOTION_PREFERENCES[id], id));
+        });
+        motion.value = settings.get('motion');
+        document.getElementById('setting-largeCrosshair').checked = settings.get('largeCrosshair');
+        
+        const controlScheme = document.getElementById('setting-controlScheme');
+        controlScheme.innerHTML = '';
+        Object.keys(CONTROL_SCHEMES).forEach(id => {
+            controlScheme.appendChild(new Option(CONTROL_SCHEMES[id].name, id));
+        });
+        controlScheme.value = settings.get('controlScheme');
+        
+        const smoothing = document.getElementById('setting-cursorSmoothing');
+        smoothing.innerHTML = '';
+        Object.keys(CURSOR_SMOOTHING).forEach(id => {
+            smoothing.appendChild(new Option(CURSOR_SMOOTHING[id].name, id));
+        });
+        smoothing.value = settings.get('cursorSmoothing');
+        
+        const aimAssist = document.getElementById('setting-aimAssist');
+        aimAssist.innerHTML = '';
+        Object.keys(AIM_ASSIST_LEVELS).forEach(id => {
+            aimAssist.appendChild(new Option(AIM_ASSIST_LEVELS[id].name, id));
+        });
+        aimAssist.value = settings.get('aimAssist');
+        
+        const hitTolerance = document.getElementById('setting-hitTolerance');
+        hitTolerance.innerHTML = '';
+        Object.keys(HIT_TOLERANCES).forEach(pixels => {
+            hitTolerance.appendChild(new Option(HIT_TOLERANCES[pixels], pixels));
+        });
+        hitTolerance.value = settings.get('hitTolerance');
+        
+        const resolution = document.getElementById('setting-cameraResolution');
+        resolution.innerHTML = '';
+        Object.keys(CAMERA_RESOLUTIONS).forEach(id => {
+            resolution.appendChild(new Option(id.replace('x', ' × '), id));
+        });
+        resolution.value = settings.get('cameraResolution');
+        
+        const confidence = settings.get('minDetectionConfidence');
+        document.getElementById('setting-minDetectionConfidence').value = confidence;
+        document.getElementById('setting-confidence-value').textContent = confidence.toFixed(2);
+        document.getElementById('setting-modelPath').value = settings.get('modelPath');
+        document.getElementById('setting-modelPath').placeholder = MEDIAPIPE_CDN_PATH;
+        document.getElementById('setting-mirror').checked = settings.get('mirror');
+        document.getElementById('setting-palmPause').checked = settings.get('palmPause');
+        document.getElementById('setting-cameraPreview').checked = settings.get('cameraPreview');
+        document.querySelectorAll('[data-fire-gesture]').forEach(checkbox => {
+            checkbox.checked = settings.get('fireGestures')[checkbox.dataset.fireGesture] !== false;
+        });
+        
+        this.showScreen('settings-screen');
+        await this.renderCameraOptions();
+    }
+    
+    async renderCameraOptions() {
+        const select = document.getElementById('setting-cameraDeviceId');
+        const savedId = this.settings.get('cameraDeviceId');
+        select.innerHTML = '';
+        select.appendChild(new Option('Default (front camera)', ''));
+        
+        let cameras = [];
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            cameras = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.error('Could not list cameras:', error);
+        }
+        
+        // Labels are blank until the page has been given camera access once
+        cameras.forEach((camera, i) => {
+            select.appendChild(new Option(camera.label || `Camera ${i + 1}`, camera.deviceId));
+        });
+        if (savedId && !cameras.some(camera => camera.deviceId === savedId)) {
+            select.appendChild(new Option('Saved camera (not connected)', savedId));
+        }
+        select.value = savedId;
+    }
+    
+    // ?mode=daily picks the mode, ?seed=abc replays that seed's balloons
+    applyUrlParams() {
+        const params = new URLSearchParams(window.location.search);
+        
+        const modeId = params.get('mode');
+        if (GAME_MODES[modeId]) {
+            this.modeId = modeId;
+            this.mode = GAME_MODES[modeId];
+        }
+        
+        this.seedOverride = params.get('seed') || null;
+        this.renderSeedNote();
+        
+        if (params.has('debug')) this.debugOverlay.setVisible(true);
+    }
+    
+    clearSeedOverride() {
+        this.seedOverride = null;
+        window.history.replaceState(null, '', window.location.pathname);
+        this.renderSeedNote();
+        this.renderLeaderboard('start-leaderboard');
+    }
+    
+    renderSeedNote() {
+        document.getElementById('seed-note').style.display = this.seedOverride ? '' : 'none';
+        document.getElementById('seed-note-value').textContent = this.seedOverride || '';
+    }
+    
+    roundSeed() {
+        if (this.seedOverride) return this.seedOverride;
+        if (this.mode.dailySeed) return SeededRandom.dailySeed();
+        return SeededRandom.randomSeed();
+    }
+    
+    setSeed(seed) {
+        this.seed = seed;
+        this.spawnRandom = new SeededRandom(seed);
+        this.effectRandom = new SeededRandom(`${seed}:effects`); // Split balloons
+        this.particleRandom = new SeededRandom(`${seed}:particles`); // Visual only
+    }
+    
+    renderLeaderboard(containerId, highlight = null) {
+        const container = document.getElementById(containerId);
+        const details = [this.roundLength() ? `${this.roundLength()}s` : 'endless'];
+        if (this.currentDifficultyId() !== 'normal') details.push(DIFFICULTIES[this.currentDifficultyId()].name);
+        container.querySelector('.leaderboard-title').textContent = `Top Scores - ${this.mode.name} (${details.join(', ')})`;
+        
+        const list = container.querySelector('ol');
+        list.innerHTML = '';
+        
+        const entries = this.leaderboard.top(this.currentBoardId(), 5);
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            if (entry === highlight) item.className = 'highlight';
+            
+            const details = [
+                new Date(entry.date).toLocaleDateString(),
+                `${Math.round((entry.accuracy || 0) * 100)}%`,
+                this.inputMethodNames[entry.inputMethod] || entry.inputMethod
+            ].filter(Boolean).join(' · ');
+            
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = entry.name;
+            const score = document.createElement('span');
+            score.className = 'score';
+            score.textContent = entry.score;
+            const meta = document.createElement('span');
+            meta.className = 'meta';
+            meta.textContent = details;
+            
+            item.append(name, score, meta);
+            list.appendChild(item);
+        });
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="empty">No scores yet - be the first!</li>';
+        }
+    }
+    
+    // Offer a leaderboard spot when the round's best score qualifies
+    checkHighScore() {
+        const form = document.getElementById('highscore-entry');
+        this.pendingHighScore = null;
+        
+        // Replays are regression runs, not real scores
+        if (this.replayRecording) {
+            form.style.display = 'none';
+            return;
+        }
+        
+        const player = this.playerMode === 'versus'
+            ? this.players.reduce((best, p) => (p.score > best.score ? p : best))
+            : null;
+        const score = player ? player.score : this.score;
+        
+        if (!this.leaderboard.qualifies(this.currentBoardId(), score)) {
+            form.style.display = 'none';
+            return;
+        }
+        
+        this.pendingHighScore = {
+            score: score,
+            accuracy: this.stats.accuracy,
+            inputMethod: this.stats.primarySource()
+        };
+        
+        document.getElementById('highscore-prompt').textContent = player
+            ? `New high score for ${player.name}! Enter a name:`
+            : 'New high score! Enter your name:';
+        const nameInput = document.getElementById('highscore-name');
+        nameInput.value = this.activeProfile ? this.activeProfile.name : '';
+        form.style.display = '';
+    }
+    
+    saveHighScore() {
+        if (!this.pendingHighScore) return;
+        
+        const name = document.getElementById('highscore-name').value.trim() || 'Anonymous';
+        const entry = this.leaderboard.add(this.currentBoardId(), { name, ...this.pendingHighScore });
+        this.pendingHighScore = null;
+        
+        document.getElementById('highscore-entry').style.display = 'none';
+        this.renderLeaderboard('gameover-leaderboard', entry);
+        this.renderLeaderboard('start-leaderboard');
+    }
+    
+    async importScores(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+        
+        const status = document.getElementById('leaderboard-status');
+        try {
+            const imported = await this.leaderboard.importFile(file);
+            status.textContent = imported > 0
+                ? `Imported ${imported} score${imported === 1 ? '' : 's'}`
+                : 'No new scores to import';
+        } catch (error) {
+            console.error('Failed to import leaderboard:', error);
+            status.textContent = error.message;
+        }
+        
+        this.renderLeaderboard('start-leaderboard');
+    }
+    
+    showMenu() {
+        // Leaving to the menu ends replay mode and level play
+        this.replayRecording = null;
+        if (this.level) {
+            this.level = null;
+            this.selectMode(document.getElementById('game-mode').value);
+        }
+        this.showScreen('start-screen');
+    }
+    
+    renderSoundSettings() {
+        const settings = this.sound.settings;
+        ['master', 'effects', 'music'].forEach(channel => {
+            document.getElementById(`volume-${channel}`).value = Math.round(settings[channel] * 100);
+        });
+        document.getElementById('sound-muted').checked = settings.muted;
+        document.getElementById('music-enabled').checked = settings.musicEnabled;
+        document.getElementById('mute-btn').textContent = settings.muted ? '🔇' : '🔊';
+        document.getElementById('mute-btn').setAttribute('aria-pressed', String(settings.muted));
+    }
+    
+    setMuted(muted) {
+        this.sound.setMuted(muted);
+        this.renderSoundSettings();
+    }
+    
+    showLevelSelect() {
+        this.renderLevelList();
+        this.showScreen('level-select-screen');
+    }
+    
+    renderLevelList() {
+        const list = document.getElementById('level-list');
+        list.innerHTML = '';
+        
+        const addLevel = (level, unlocked, custom) => {
+            const progress = this.levelProgress.get(level.id);
+            const card = document.createElement('button');
+            card.className = progress.cleared ? 'level-card cleared' : 'level-card';
+            card.disabled = !unlocked;
+            
+            const name = document.createElement('h3');
+            name.textContent = custom ? `${level.name} (custom)` : level.name;
+            const description = document.createElement('p');
+            description.textContent = level.description || '';
+            const details = document.createElement('p');
+            details.className = 'level-details';
+            details.textContent = [
+                `Goal ${level.goal}`,
+                `${level.waves.length} wave${level.waves.length === 1 ? '' : 's'}`,
+                this.formatDuration(levelDuration(level)),
+                progress.best > 0 ? `Best ${progress.best}` : null
+            ].filter(Boolean).join(' · ');
+            const status = document.createElement('p');
+            status.className = 'level-status';
+            status.textContent = progress.cleared ? '✓ Cleared' : (unlocked ? '' : '🔒 Locked');
+            
+            card.append(name, description, details, status);
+            card.addEventListener('click', () => this.playLevel(level));
+            list.appendChild(card);
+        };
+        
+        BUILT_IN_LEVELS.forEach((level, index) => {
+            addLevel(level, this.levelProgress.isUnlocked(BUILT_IN_LEVELS, index), false);
+        });
+        this.customLevels.forEach(level => addLevel(level, true, true));
+    }
+    
+    async loadLevelFile(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow loading the same file again after editing it
+        if (!file) return;
+        
+        const status = document.getElementById('level-file-status');
+        try {
+            const levels = parseLevelFile(await file.text());
+            
+            // A reloaded level replaces its old version
+            levels.forEach(level => {
+                this.customLevels = this.customLevels.filter(existing => existing.id !== level.id);
+                this.customLevels.push(level);
+            });
+            status.textContent = `Loaded ${levels.map(level => level.name).join(', ')}`;
+        } catch (error) {
+            console.error('Failed to load level:', error);
+            status.textContent = error.message;
+        }
+        
+        this.renderLevelList();
+    }
+    
+    // Levels run as a timed mode built from their waves
+    playLevel(level) {
+        this.level = level;
+        this.modeId = `level-${level.id}`;
+        this.mode = {
+            name: level.name,
+            description: level.description || '',
+            timeLimit: levelDuration(level),
+            fixedSettings: true,
+            hud: ['score', 'timer', 'wave', 'goal']
+        };
+        this.startGame();
+    }
+    
+    // The built-in level after the current one, if any
+    nextLevel() {
+        const index = BUILT_IN_LEVELS.indexOf(this.level);
+        return index >= 0 ? BUILT_IN_LEVELS[index + 1] || null : null;
+    }
+    
+    async startGame() {
+        this.sound.unlock(); // Still inside the click that started the game
+        this.stopPlayback();
+        this.showScreen('loading-screen');
+        
+        try {
+            if (this.replayRecording) {
+                // Feed a recorded landmark stream instead of the webcam
+                this.replayer = new HandReplayer(this.replayRecording, (results) => this.onHandResults(results));
+            } else if (this.usesCamera()) {
+                // Initialize camera
+                await this.initializeCamera();
+                
+                // Initialize MediaPipe Hands
+                await this.initializeHands();
+            }
+            
+            // Reset game state
+            this.score = 0;
+            this.timeLeft = this.roundLength();
+            this.elapsedTime = 0;
+            this.lives = this.mode.lives || 0;
+            this.ammo = this.mode.ammo || 0;
+            this.stats.reset();
+            this.difficulty = DIFFICULTIES[this.currentDifficultyId()];
+            this.hitTolerance = this.currentHitTolerance();
+            this.balloonSpawnRate = 1000 * this.difficulty.spawnInterval;
+            this.balloons = [];
+            this.scorePopups = [];
+            this.particles.clear();
+            this.players = this.createPlayers();
+            this.gameRunning = true;
+            this.nextMilestone = 0;
+            this.applyAccessibility(); // The system motion setting may have changed
+            
+            // Without hand tracking, cursors start in the middle of each
+            // player's half and are steered by the other input devices
+            const freeAim = !this.replayer && !this.usesCamera();
+            this.input.configure(this.players.length, freeAim);
+            if (freeAim) {
+                this.players.forEach(player => {
+                    player.handPosition = this.startingCursor(player.id);
+                });
+            }
+            this.cameraPreview.setMirrored(this.settings.get('mirror'));
+            this.cameraPreview.setCorner(this.settings.get('cameraPreviewCorner'));
+            this.cameraPreview.setVisible(!freeAim && this.settings.get('cameraPreview'));
+            this.setSeed(this.roundSeed());
+            this.clearPause();
+            this.lastHandSeen = null;
+            this.gameTime = 0;
+            this.accumulator = 0;
+            this.lastFrameTime = null;
+            this.lastBalloonSpawn = -Infinity; // First balloon right away
+            this.waveSpawner = this.level ? new WaveSpawner(this.level) : null;
+            this.updateHUD();
+            
+            this.nextBalloonId = 0;
+            this.sessionLog.start({
+                seed: this.seed,
+                mode: this.modeId,
+                level: this.level ? this.level.id : null,
+                players: this.players.map(player => ({ name: player.name, color: player.color })),
+                canvas: { width: this.canvas.width, height: this.canvas.height },
+                reducedMotion: this.reducedMotion
+            });
+            
+            // Record raw landmarks if requested (never while replaying)
+            this.recorder.stop();
+            if (!this.replayer && document.getElementById('record-hands').checked) {
+                this.recorder.start();
+            }
+            
+            // Start game loop
+            this.showScreen('game-screen');
+            requestAnimationFrame((time) => this.gameLoop(time));
+            this.sound.startMusic();
+            
+            if (this.replayer) {
+                // End the round when the recording runs out
+                this.replayer.start(() => {
+                    if (this.gameRunning) this.endGame('quit');
+                });
+            }
+        
+        } catch (error) {
+            console.error('Failed to start game:', error);
+            this.showError(error.message, this.errorTitle(error));
+        }
+    }
+    
+    async loadReplay(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+        
+        try {
+            this.replayRecording = await HandReplayer.fromFile(file);
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            this.showError(error.message);
+            return;
+        }
+        
+        this.startGame();
+    }
+    
+    async importSession(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+        
+        let log;
+        try {
+            log = await SessionLog.fromFile(file);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.showError(error.message, '⚠️ Replay Error');
+            return;
+        }
+        
+        this.startPlayback(log, 'start-screen');
+    }
+    
+    // Watches a session log back on the game screen. The balloons are moved
+    // by the game's own code from their logged starting state, so the replay
+    // matches the round without storing every frame.
+    startPlayback(log, returnScreen) {
+        this.stopPlayback();
+        this.playback = new SessionPlayback(log);
+        this.playbackReturnScreen = returnScreen;
+        
+        // Same number of cursors and the same balloon sway as the round had
+        this.players = this.createPlayers(log.players.length);
+        this.reducedMotion = Boolean(log.reducedMotion);
+        this.resetPlayback();
+        
+        const speed = document.getElementById('playback-speed');
+        speed.innerHTML = '';
+        PLAYBACK_SPEEDS.forEach(value => speed.appendChild(new Option(`${value}×`, value)));
+        speed.value = this.playback.speed;
+        
+        document.getElementById('playback-video-btn').style.display =
+            CanvasVideoRecorder.supported(this.canvas) ? '' : 'none';
+        document.getElementById('playback-controls').style.display = '';
+        document.getElementById('game-screen').classList.add('playback');
+        this.showScreen('game-screen');
+        
+        const playback = this.playback;
+        requestAnimationFrame((time) => this.playbackLoop(playback, time));
+    }
+    
+    resetPlayback() {
+        this.playback.rewind();
+        this.playback.paused = false;
+        this.balloons = [];
+        this.scorePopups = [];
+        this.particles.clear();
+        this.players.forEach(player => {
+            player.handPosition = null;
+            player.isRecoiling = false;
+        });
+        this.gameTime = 0;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+    }
+    
+    // Like gameLoop, but the clock runs at the playback speed and the
+    // events come from the log
+    playbackLoop(playback, frameTime) {
+        if (this.playback !== playback) return;
+        
+        const frameDelta = this.lastFrameTime === null ? 0 : frameTime - this.lastFrameTime;
+        this.lastFrameTime = frameTime;
+        
+        if (!playback.paused) {
+            this.accumulator += Math.min(frameDelta, this.maxFrameTime) * playback.speed;
+            while (this.accumulator >= this.fixedStep && !playback.finished) {
+                this.accumulator -= this.fixedStep;
+                this.stepPlayback();
+            }
+            if (playback.finished) this.finishPlayback();
+        }
+        
+        this.renderPlayback();
+        this.updatePlaybackControls();
+        requestAnimationFrame((time) => this.playbackLoop(playback, time));
+    }
+    
+    stepPlayback() {
+        this.gameTime += this.fixedStep;
+        this.playback.eventsUntil(this.gameTime).forEach(event => this.applyPlaybackEvent(event));
+        
+        this.moveBalloons();
+        this.updateScorePopups();
+        this.particles.update();
+        this.players.forEach(player => {
+            if (player.isRecoiling && this.gameTime >= player.flashUntil) player.isRecoiling = false;
+        });
+    }
+    
+    applyPlaybackEvent(event) {
+        const player = this.players[event.player];
+        const index = this.balloons.findIndex(balloon => balloon.id === event.balloonId);
+        const balloon = this.balloons[index];
+        
+        switch (event.type) {
+            case 'spawn':
+                this.balloons.push({ ...event.balloon });
+                break;
+            case 'cursor':
+                if (player) player.handPosition = event.x === null ? null : { x: event.x, y: event.y };
+                break;
+            case 'shot':
+                // Every shot flashes the cursor, whatever fired it
+                if (player) {
+                    player.isRecoiling = true;
+                    player.flashUntil = this.gameTime + 100;
+                }
+                if (balloon) {
+                    balloon.hits--;
+                    if (balloon.hits > 0) this.createPopEffect(event.x, event.y, '#D5D8DC', balloon.radius);
+                }
+                break;
+            case 'pop':
+                if (!balloon) break;
+                this.balloons.splice(index, 1);
+                this.addScorePopup(balloon.x, balloon.y, balloon.points, event.multiplier, player);
+                this.createPopEffect(balloon.x, balloon.y, balloon.color, balloon.radius, BALLOON_TYPES[balloon.type].popEffects);
+                break;
+        }
+    }
+    
+    finishPlayback() {
+        this.playback.paused = true;
+        
+        if (this.videoRecorder.recording) {
+            this.videoRecorder.stop().then(video => {
+                const stamp = (this.playback && this.playback.log.recordedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+                downloadBlob(video, `balloon-pop-${stamp}.webm`);
+            });
+        }
+    }
+    
+    togglePlayback() {
+        if (!this.playback) return;
+        
+        if (this.playback.finished) {
+            this.restartPlayback();
+        } else {
+            this.playback.paused = !this.playback.paused;
+        }
+    }
+    
+    restartPlayback() {
+        if (!this.playback) return;
+        
+        // A video only makes sense from start to finish
+        this.videoRecorder.stop();
+        this.resetPlayback();
+    }
+    
+    // Plays the round again from the start while recording the canvas
+    exportVideo() {
+        if (!this.playback) return;
+        
+        this.restartPlayback();
+        try {
+            this.videoRecorder.start();
+        } catch (error) {
+            console.error('Failed to record video:', error);
+            document.getElementById('playback-video-btn').style.display = 'none';
+        }
+    }
+    
+    stopPlayback() {
+        if (!this.playback) return;
+        
+        this.playback = null;
+        this.videoRecorder.stop();
+        this.balloons = [];
+        this.scorePopups = [];
+        this.particles.clear();
+        this.applyAccessibility(); // Back from the logged motion setting
+        document.getElementById('playback-controls').style.display = 'none';
+        document.getElementById('game-screen').classList.remove('playback');
+    }
+    
+    updatePlaybackControls() {
+        const playback = this.playback;
+        const seconds = (ms) => this.formatDuration(Math.floor(ms / 1000));
+        
+        document.getElementById('playback-time').textContent =
+            `${seconds(playback.time)} / ${seconds(playback.log.duration)}`;
+        document.getElementById('playback-score').textContent = playback.scores.length > 1
+            ? playback.scores.join(' : ')
+            : `Score ${playback.score}`;
+        
+        const toggle = document.getElementById('playback-toggle-btn');
+        toggle.textContent = playback.finished ? '🔁' : (playback.paused ? '▶️' : '⏸️');
+        toggle.setAttribute('aria-label', playback.finished ? 'Play again' : (playback.paused ? 'Play' : 'Pause'));
+        
+        const video = document.getElementById('playback-video-btn');
+        video.disabled = this.videoRecorder.recording;
+        video.textContent = this.videoRecorder.recording ? 'Recording…' : 'Export Video';
+    }
+    
+    setLoadingMessage(message) {
+        document.getElementById('loading-message').textContent = message;
+        document.getElementById('loading-progress').style.display = 'none';
+        document.getElementById('loading-detail').textContent = 'This may take a few seconds';
+    }
+    
+    // Bytes of the model downloaded so far; total is 0 while sizes are unknown
+    showLoadingProgress(loaded, total) {
+        const megabytes = (bytes) => (bytes / 1048576).toFixed(1);
+        const detail = document.getElementById('loading-detail');
+        
+        if (total > 0) {
+            const percent = Math.min(100, Math.round((loaded / total) * 100));
+            document.getElementById('loading-progress').style.display = '';
+            document.getElementById('loading-progress-bar').style.width = `${percent}%`;
+            detail.textContent = `${percent}% (${megabytes(loaded)} of ${megabytes(total)} MB)`;
+        } else {
+            detail.textContent = `${megabytes(loaded)} MB downloaded`;
+        }
+    }
+    
+    async initializeCamera() {
+        this.setLoadingMessage('Starting camera...');
+        const resolution = CAMERA_RESOLUTIONS[this.settings.get('cameraResolution')] || CAMERA_RESOLUTIONS['1280x720'];
+        const deviceId = this.settings.get('cameraDeviceId');
+        const video = {
+            width: { ideal: resolution.width },
+            height: { ideal: resolution.height }
+        };
+        
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: deviceId ? { ...video, deviceId: { exact: deviceId } } : { ...video, facingMode: 'user' }
+            });
+        } catch (error) {
+            // The chosen camera may have been unplugged - fall back to the default one
+            if (deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                console.warn('Selected camera not available, using the default camera');
+                stream = await navigator.mediaDevices.getUserMedia({ video: { ...video, facingMode: 'user' } })
+                    .catch(() => null);
+            }
+            if (!stream) {
+                throw new Error('Camera access denied. Please allow camera permission to play.');
+            }
+        }
+        
+        return new Promise((resolve) => {
+            this.video.srcObject = stream;
+            this.video.onloadedmetadata = () => {
+                this.video.play();
+                resolve();
+            };
+        });
     }
     
-    setupEventListeners() {
-        document.getElementById('start-btn').addEventListener('click', () => this.startGame());
-        document.getElementById('restart-btn').addEventListener('click', () => this.startGame());
-        document.getElementById('menu-btn').addEventListener('click', () => this.showScreen('start-screen'));
-        document.getElementById('retry-btn').addEventListener('click', () => this.startGame());
-        document.getElementById('error-menu-btn').addEventListener('click', () => this.showScreen('start-screen'));
+    async initializeHands() {
+        const options = {
+            numHands: this.playerMode === 'solo' ? 1 : 2,
+            minDetectionConfidence: this.settings.get('minDetectionConfidence'),
+            minTrackingConfidence: 0.5
+        };
+        const modelPath = this.settings.get('modelPath');
         
-        // Click to shoot as fallback
-        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        // Keep the loaded model between rounds unless its options changed
+        const key = JSON.stringify({ ...options, modelPath });
+        if (!this.handTracker || this.handTrackerKey !== key) {
+            if (this.handTracker) this.handTracker.close();
+            this.handTracker = null;
+            this.handTracker = await this.createHandTracker(options, modelPath);
+            this.handTrackerKey = key;
+        }
         
-        // Touch support
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            this.handleClick({ clientX: touch.clientX, clientY: touch.clientY });
-        });
+        // Start camera processing
+        this.camera = this.startFrameLoop();
     }
     
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.landmarkCanvas.width = this.canvas.width;
-        this.landmarkCanvas.height = this.canvas.height;
+    // Off the main thread where the browser allows it (see hand-tracker.js).
+    // A self-hosted model path holds MediaPipe Hands files, which only run on
+    // the main thread.
+    async createHandTracker(options, modelPath) {
+        this.setLoadingMessage('Loading hand tracking model...');
+        let tracker = null;
+        
+        const onProgress = (loaded, total) => this.showLoadingProgress(loaded, total);
+        if (WorkerHandTracker.supported() && !modelPath) {
+            try {
+                tracker = new WorkerHandTracker(options);
+                await tracker.initialize(onProgress);
+            } catch (error) {
+                // Offline or timed out - the CDN would only keep the player waiting
+                if (error.network) throw error;
+                console.warn('Hand tracking worker unavailable, using the main thread:', error);
+                tracker = null;
+            }
+        }
+        if (!tracker) {
+            tracker = new MainThreadHandTracker(options, modelPath || MEDIAPIPE_CDN_PATH);
+            await tracker.initialize(onProgress);
+        }
+        
+        this.listenToHandTracker(tracker, options);
+        return tracker;
     }
     
-    showScreen(screenId) {
-        document.querySelectorAll('.screen').forEach(screen => {
-            screen.classList.remove('active');
+    listenToHandTracker(tracker, options) {
+        tracker.onResults((results, timestamp) => {
+            this.debugOverlay.recordInference(performance.now() - timestamp);
+            this.onHandResults(results, timestamp);
         });
-        document.getElementById(screenId).classList.add('active');
+        tracker.onError((error) => this.recoverHandTracking(tracker, error, options));
     }
     
-    async startGame() {
-        this.showScreen('loading-screen');
+    // The worker died after it started - carry on with tracking on the main
+    // thread, or report the error if that can't load either
+    async recoverHandTracking(failed, error, options) {
+        if (this.handTracker !== failed) return;
+        console.warn('Hand tracking worker stopped, using the main thread:', error);
+        this.handTracker = null;
         
         try {
-            // Initialize camera
-            await this.initializeCamera();
-            
-            // Initialize MediaPipe Hands
-            await this.initializeHands();
-            
-            // Reset game state
-            this.score = 0;
-            this.timeLeft = 60;
-            this.balloons = [];
-            this.gameRunning = true;
-            this.gameStartTime = Date.now();
-            this.updateHUD();
-            
-            // Start game loop
-            this.showScreen('game-screen');
-            this.gameLoop();
-            this.startTimer();
-            
-        } catch (error) {
-            console.error('Failed to start game:', error);
-            this.showError(error.message);
+            const tracker = new MainThreadHandTracker(options);
+            await tracker.initialize();
+            if (this.handTracker) {
+                // A new round loaded its own tracker in the meantime
+                tracker.close();
+                return;
+            }
+            this.listenToHandTracker(tracker, options);
+            this.handTracker = tracker;
+        } catch (fallbackError) {
+            console.error('Failed to restart hand tracking:', fallbackError);
+            this.showError(fallbackError.message, this.errorTitle(fallbackError));
         }
     }
     
-    async initializeCamera() {
-        return new Promise((resolve, reject) => {
-            const constraints = {
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    facingMode: 'user'
-                }
-            };
+    // Sends video frames to the hand tracker. This replaces the Camera helper
+    // from camera_utils, which opens its own default stream and so can't use
+    // the camera picked in the settings. Returns a handle with stop().
+    startFrameLoop() {
+        let running = true;
+        let lastVideoTime = -1;
+        
+        const processFrame = () => {
+            if (!running) return;
             
-            navigator.mediaDevices.getUserMedia(constraints)
-                .then(stream => {
-                    this.video.srcObject = stream;
-                    this.video.onloadedmetadata = () => {
-                        this.video.play();
-                        resolve();
-                    };
-                })
-                .catch(error => {
-                    reject(new Error('Camera access denied. Please allow camera permission to play.'));
+            // Only new video frames, and only once the last one is done -
+            // frames that arrive while the tracker is busy are dropped
+            const tracker = this.handTracker; // Null while it is being replaced
+            if (tracker && (this.gameRunning || this.calibration) && this.video.readyState >= 2 &&
+                !tracker.busy && this.video.currentTime !== lastVideoTime) {
+                lastVideoTime = this.video.currentTime;
+                tracker.capture(this.video, performance.now()).catch(error => {
+                    console.error('Hand tracking failed on a frame:', error);
                 });
-        });
+            }
+            requestAnimationFrame(processFrame);
+        };
+        requestAnimationFrame(processFrame);
+        
+        return {
+            stop: () => {
+                running = false;
+            }
+        };
     }
     
-    async initializeHands() {
-        return new Promise((resolve, reject) => {
-            this.hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/${file}`;
-                }
-            });
+    // timestamp is when the camera frame was captured (performance.now() time),
+    // so gesture speeds aren't skewed by however long inference took
+    onHandResults(results, timestamp = performance.now()) {
+        this.recorder.capture(results, timestamp);
+        
+        if (this.calibration) {
+            this.updateCalibration(results, timestamp);
+            return;
+        }
+        
+        this.checkHandPresence((results.multiHandLandmarks || []).length > 0);
+        
+        const assigned = this.assignHands(results);
+        
+        this.players.forEach(player => {
+            const landmarks = assigned.get(player);
             
-            this.hands.setOptions({
-                maxNumHands: 1,
-                modelComplexity: 1,
-                minDetectionConfidence: 0.7,
-                minTrackingConfidence: 0.5
-            });
+            if (landmarks) {
+                // Aim with the index finger tip, or along the finger with the
+                // finger gun - smoothed and maybe assisted (see aiming.js)
+                const aim = this.settings.get('controlScheme') === 'finger-gun'
+                    ? fingerRayPoint(landmarks[LANDMARKS.INDEX_MCP], landmarks[LANDMARKS.INDEX_TIP])
+                    : landmarks[LANDMARKS.INDEX_TIP];
+                const smoothed = player.cursor.smooth(
+                    this.screenX(aim) * this.canvas.width,
+                    aim.y * this.canvas.height,
+                    timestamp
+                );
+                player.handPosition = assistAim(smoothed, this.balloons, this.settings.get('aimAssist'));
+                player.cursor.record(player.handPosition, timestamp);
+                
+                // Run the gesture recognizers and react to what they saw
+                const events = player.gestures.process(landmarks, timestamp);
+                this.handleGestureEvents(player, events);
+            } else {
+                player.handPosition = null;
+                player.isRecoiling = false;
+                player.gestures.reset();
+                player.cursor.reset();
+            }
+        });
+        
+        this.updateCameraPreview(results, assigned);
+    }
+    
+    // Skeletons and recognizer readouts for the camera preview (see camera-preview.js)
+    updateCameraPreview(results, assigned) {
+        if (!this.cameraPreview.visible) return;
+        
+        const landmarkSets = results.multiHandLandmarks || [];
+        const hands = [];
+        this.players.forEach(player => {
+            const landmarks = assigned.get(player);
+            if (!landmarks) return;
             
-            this.hands.onResults((results) => this.onHandResults(results));
-            
-            // Start camera processing
-            this.camera = new Camera(this.video, {
-                onFrame: async () => {
-                    if (this.gameRunning) {
-                        await this.hands.send({ image: this.video });
-                    }
-                },
-                width: 1280,
-                height: 720
+            const handedness = (results.multiHandedness || [])[landmarkSets.indexOf(landmarks)];
+            hands.push({
+                name: this.players.length > 1 ? `P${player.id + 1}` : '',
+                color: player.color,
+                landmarks: landmarks,
+                confidence: handedness ? handedness.score : 0,
+                recoilVelocity: player.gestures.get('recoil').velocity,
+                pinchDistance: player.gestures.get('pinch').distance
             });
-            
-            this.camera.start().then(resolve).catch(reject);
         });
+        this.cameraPreview.update(hands);
+    }
+    
+    // Horizontal screen position (0-1) of a landmark, mirrored unless the
+    // player turned mirroring off
+    screenX(landmark) {
+        return this.settings.get('mirror') ? 1 - landmark.x : landmark.x;
     }
     
-    onHandResults(results) {
-        this.landmarkCtx.clearRect(0, 0, this.landmarkCanvas.width, this.landmarkCanvas.height);
+    // Match each detected hand to a player
+    assignHands(results) {
+        const assigned = new Map();
+        const landmarkSets = results.multiHandLandmarks || [];
+        if (landmarkSets.length === 0) return assigned;
         
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const landmarks = results.multiHandLandmarks[0];
-            
-            // Get index finger tip (landmark 8) for aiming
-            const indexTip = landmarks[8];
-            this.handPosition = {
-                x: (1 - indexTip.x) * this.canvas.width, // Mirror horizontally
-                y: indexTip.y * this.canvas.height
+        if (this.players.length === 1) {
+            assigned.set(this.players[0], landmarkSets[0]);
+            return assigned;
+        }
+        
+        const hands = landmarkSets.map((landmarks, i) => {
+            const handedness = results.multiHandedness && results.multiHandedness[i];
+            return {
+                landmarks: landmarks,
+                label: handedness ? handedness.label : null,
+                screenX: this.screenX(landmarks[8])
             };
-            
-            // Get wrist position (landmark 0) for recoil detection
-            const wrist = landmarks[0];
-            
-            // Track hand position history for recoil gesture
-            const timestamp = Date.now();
-            this.handPositionHistory.push({
-                x: wrist.x,
-                y: wrist.y,
-                z: wrist.z,
-                timestamp: timestamp
+        });
+        
+        // Handedness tells the hands apart when it is unambiguous - e.g. one
+        // person playing co-op with both hands
+        const labels = hands.map(hand => hand.label);
+        if (hands.length === 2 && labels[0] && labels[1] && labels[0] !== labels[1]) {
+            hands.forEach(hand => {
+                const player = this.players.find(p => p.handedness === hand.label);
+                if (player) assigned.set(player, hand.landmarks);
             });
-            
-            // Keep only recent history
-            if (this.handPositionHistory.length > this.maxHistorySize) {
-                this.handPositionHistory.shift();
-            }
-            
-            // Detect recoil gesture
-            this.detectRecoilGesture();
-            
-            // Detect pinching gesture (legacy, still works as fallback)
-            const thumbTip = landmarks[4];
-            const pinchDistance = Math.hypot(
-                thumbTip.x - indexTip.x,
-                thumbTip.y - indexTip.y
-            );
-            
-            this.pinchDistance = pinchDistance;
-            this.wasPinching = this.isPinching;
-            
-            // Check if pinching (distance below threshold)
-            this.isPinching = pinchDistance < this.pinchThreshold;
-            
-            // Shoot when pinch is made (rising edge detection) - only if not using recoil
-            if (this.isPinching && !this.wasPinching) {
-                this.shoot();
-            }
-            
-            // Draw hand visualization
-            this.drawHand(landmarks);
+            return assigned;
+        }
+        
+        // Two people usually both raise their right hand, so fall back to
+        // which side of the screen each hand is on
+        if (hands.length === 2) {
+            hands.sort((a, b) => a.screenX - b.screenX);
+            assigned.set(this.players[0], hands[0].landmarks);
+            assigned.set(this.players[1], hands[1].landmarks);
         } else {
-            this.handPosition = null;
-            this.isRecoiling = false;
-            this.recoilVelocity = 0;
-            this.handPositionHistory = [];
-            this.isPinching = false;
-            this.wasPinching = false;
-            this.pinchDistance = 0;
+            const hand = hands[0];
+            const player = this.players.find(p => p.handedness === hand.label) ||
+                this.players[hand.screenX < 0.5 ? 0 : 1];
+            assigned.set(player, hand.landmarks);
+        }
+        return assigned;
+    }
+    
+    createPlayers(count = this.playerMode === 'solo' ? 1 : 2) {
+        // MediaPipe labels handedness as if the image were mirrored, and we feed
+        // it the raw camera image - so its 'Right' is the hand on the left of
+        // the (mirrored) screen
+        const handedness = this.settings.get('mirror') ? ['Right', 'Left'] : ['Left', 'Right'];
+        
+        const players = [];
+        for (let i = 0; i < count; i++) {
+            players.push({
+                id: i,
+                name: `Player ${i + 1}`,
+                color: count === 1 ? '#FF0000' : this.playerColors[i],
+                handedness: handedness[i],
+                score: 0,
+                handPosition: null,
+                gestures: this.createGestures(),
+                cursor: new CursorFilter(this.settings.get('cursorSmoothing')),
+                isRecoiling: false, // Drives the gun flash effect
+                lastShotTime: -Infinity,
+                streak: 0,
+                bestStreak: 0,
+                lastHitTime: 0
+            });
+        }
+        return players;
+    }
+    
+    applyProfile(name) {
+        const profile = name ? this.profiles.get(name) : null;
+        
+        this.activeProfile = profile;
+        this.profiles.setActiveName(profile ? profile.name : null);
+    }
+    
+    createGestures() {
+        // Start from the recognizer defaults so switching profiles never mixes values
+        const gestures = GestureRegistry.createDefault();
+        if (this.activeProfile) {
+            gestures.configure('recoil', this.activeProfile.recoil);
+            gestures.configure('pinch', this.activeProfile.pinch);
         }
+        
+        // Fire gestures the player switched off in the settings, or that
+        // don't belong to the control scheme
+        const fireGestures = this.settings.get('fireGestures');
+        const scheme = CONTROL_SCHEMES[this.settings.get('controlScheme')] || CONTROL_SCHEMES.fingertip;
+        Object.keys(fireGestures).forEach(name => {
+            gestures.setEnabled(name, fireGestures[name] && scheme.fireGestures.includes(name));
+        });
+        return gestures;
+    }
+    
+    renderProfileOptions() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+        
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default';
+        select.appendChild(defaultOption);
+        
+        this.profiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        
+        select.value = this.activeProfile ? this.activeProfile.name : '';
+        document.getElementById('delete-profile-btn').disabled = !this.activeProfile;
     }
     
-    detectRecoilGesture() {
-        // Need at least 5 frames of history to detect motion
-        if (this.handPositionHistory.length < 5) {
-            this.recoilVelocity = 0;
+    async startCalibration() {
+        this.showScreen('loading-screen');
+        
+        try {
+            await this.initializeCamera();
+            await this.initializeHands();
+        } catch (error) {
+            console.error('Failed to start calibration:', error);
+            this.showError(error.message, this.errorTitle(error));
             return;
         }
         
-        const now = Date.now();
+        this.calibration = new CalibrationWizard();
+        this.handVisible = false;
+        document.getElementById('calibration-measure').style.display = '';
+        document.getElementById('calibration-save').style.display = 'none';
+        document.getElementById('profile-name').value = this.activeProfile ? this.activeProfile.name : '';
+        this.renderCalibration();
+        this.showScreen('calibration-screen');
+    }
+    
+    updateCalibration(results, timestamp) {
+        const wizard = this.calibration;
         
-        // Calculate average z-velocity over recent frames
-        // z-coordinate: positive = closer to camera (forward), negative = farther (backward)
-        const recentPositions = this.handPositionHistory.slice(-5);
+        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+            this.handVisible = true;
+            wizard.update(results.multiHandLandmarks[0], timestamp);
+        } else {
+            this.handVisible = false;
+            wizard.handLost();
+        }
         
-        // Calculate velocity by comparing oldest and newest positions
-        const oldest = recentPositions[0];
-        const newest = recentPositions[recentPositions.length - 1];
+        if (wizard.done) {
+            this.finishCalibration();
+        } else {
+            this.renderCalibration();
+        }
+    }
+    
+    renderCalibration() {
+        const wizard = this.calibration;
+        const step = wizard.step;
         
-        // Time difference in milliseconds
-        const timeDiff = newest.timestamp - oldest.timestamp;
-        if (timeDiff < 10) return; // Avoid division by very small numbers
+        document.getElementById('calibration-step').textContent =
+            `Step ${wizard.stepIndex + 1} of ${wizard.steps.length}`;
+        document.getElementById('calibration-instruction').textContent = step.instruction;
         
-        // Z-velocity (change in z per second)
-        // Positive z-velocity means moving toward camera (forward push)
-        // Negative z-velocity means moving away from camera (backward recoil)
-        const zVelocity = (newest.z - oldest.z) / (timeDiff / 1000);
+        const dots = [];
+        for (let i = 0; i < wizard.repetitions; i++) {
+            dots.push(i < step.samples.length ? '●' : '○');
+        }
+        document.getElementById('calibration-progress').textContent = dots.join(' ');
         
-        this.recoilVelocity = zVelocity;
+        // Live meter: push speed or how closed the pinch is
+        const level = step.id === 'push'
+            ? Math.min(Math.max(wizard.velocity, 0) / 0.05, 1)
+            : 1 - Math.min(wizard.pinchDistance / 0.2, 1);
+        document.getElementById('calibration-meter').style.width = `${Math.round(level * 100)}%`;
         
-        // Detect recoil gesture: rapid forward motion OR forward-then-backward motion
+        document.getElementById('calibration-status').textContent = this.handVisible
+            ? `${step.samples.length} of ${wizard.repetitions} done`
+            : 'Show your hand to the camera';
+    }
+    
+    finishCalibration() {
+        this.calibrationResult = this.calibration.result();
+        this.calibration = null;
+        this.stopCamera();
         
-        // Method 1: Sharp forward push (high positive velocity)
-        if (zVelocity > this.recoilThreshold) {
-            const now = Date.now();
-            if (now - this.lastRecoilTime > this.recoilDetectionCooldown) {
-                this.lastRecoilTime = now;
-                this.isRecoiling = true;
-                
-                // Set recoil state back to false after a short delay
-                setTimeout(() => {
-                    this.isRecoiling = false;
-                }, 100);
-                
-                // Shoot when recoil detected
-                this.shoot();
-            }
+        const result = this.calibrationResult;
+        document.getElementById('calibration-result').textContent =
+            `Push speed ${result.recoil.threshold}, push travel ${result.recoil.zRange}, pinch distance ${result.pinch.threshold}`;
+        document.getElementById('calibration-measure').style.display = 'none';
+        document.getElementById('calibration-save').style.display = '';
+        document.getElementById('profile-name').focus();
+    }
+    
+    saveCalibration() {
+        const nameInput = document.getElementById('profile-name');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
         }
         
-        // Method 2: Forward then backward motion (detect peak and valley)
-        if (this.handPositionHistory.length >= 10) {
-            const positions = this.handPositionHistory.slice(-10);
-            
-            // Find max z (closest to camera, forward motion)
-            let maxZ = -Infinity;
-            let maxZIndex = 0;
-            
-            // Find min z (farthest from camera, after forward motion)
-            let minZ = Infinity;
-            let minZIndex = 0;
-            
-            positions.forEach((pos, i) => {
-                if (pos.z > maxZ) {
-                    maxZ = pos.z;
-                    maxZIndex = i;
-                }
-                if (pos.z < minZ) {
-                    minZ = pos.z;
-                    minZIndex = i;
-                }
-            });
+        this.profiles.save({
+            name: name,
+            createdAt: new Date().toISOString(),
+            ...this.calibrationResult
+        });
+        this.applyProfile(name);
+        this.renderProfileOptions();
+        this.showMenu();
+    }
+    
+    cancelCalibration() {
+        this.calibration = null;
+        this.stopCamera();
+        this.showMenu();
+    }
+    
+    handleGestureEvents(player, events) {
+        // Show each gesture that went off in the camera preview
+        events.forEach(event => {
+            if (event.type === 'fire') this.cameraPreview.flash(this.inputMethodNames[event.source]);
+            if (event.type === 'open-palm') this.cameraPreview.flash('Open palm');
+        });
+        
+        // An open palm pauses, and a second one resumes
+        if (this.settings.get('palmPause') && events.some(event => event.type === 'open-palm')) {
+            this.togglePause('gesture');
+            return;
+        }
+        
+        // Several recognizers may fire on the same frame - only one shot per frame
+        const fire = events.find(event => event.type === 'fire');
+        if (!fire) return;
+        
+        if (fire.source === 'recoil') {
+            player.isRecoiling = true;
             
-            // Check if we have forward-then-backward pattern
-            // Pattern: maxZ occurs first, then minZ occurs later
-            if (maxZIndex < minZIndex && (maxZ - minZ) > 0.02) {
-                // Check time difference
-                const timeDiff = positions[minZIndex].timestamp - positions[maxZIndex].timestamp;
-                
-                // Pattern must happen quickly (within 300ms)
-                if (timeDiff < 300 && timeDiff > 50) {
-                    const now = Date.now();
-                    if (now - this.lastRecoilTime > this.recoilDetectionCooldown) {
-                        this.lastRecoilTime = now;
-                        this.isRecoiling = true;
-                        
-                        setTimeout(() => {
-                            this.isRecoiling = false;
-                        }, 100);
-                        
-                        this.shoot();
-                    }
-                }
-            }
+            // Set recoil state back to false after a short delay
+            setTimeout(() => {
+                player.isRecoiling = false;
+            }, 100);
         }
+        
+        // Aim from before the gesture moved the hand off target
+        this.shoot(player, fire.source, player.cursor.positionAt(fire.motionStart) || player.handPosition);
     }
     
-    drawHand(landmarks) {
-        this.ctx.save();
+    drawCursor(player) {
+        const recoil = player.gestures.get('recoil');
+        const pinch = player.gestures.get('pinch');
+        const hammer = player.gestures.get('hammer');
+        const cursorX = player.handPosition.x;
+        const cursorY = player.handPosition.y;
         
-        // Draw aiming cursor at index finger tip
-        const indexTip = landmarks[8];
-        const cursorX = (1 - indexTip.x) * this.canvas.width;
-        const cursorY = indexTip.y * this.canvas.height;
+        this.ctx.save();
         
-        // Draw crosshair cursor
-        const cursorSize = 30;
-        this.ctx.strokeStyle = '#FF0000';
-        this.ctx.lineWidth = 3;
+        // Draw crosshair cursor with a circle around it. The large option
+        // adds a black outline so it stands out on any background.
+        const large = this.settings.get('largeCrosshair');
+        const cursorSize = large ? 45 : 30;
         
         this.ctx.beginPath();
         this.ctx.moveTo(cursorX - cursorSize, cursorY);
         this.ctx.lineTo(cursorX + cursorSize, cursorY);
         this.ctx.moveTo(cursorX, cursorY - cursorSize);
         this.ctx.lineTo(cursorX, cursorY + cursorSize);
-        this.ctx.stroke();
-        
-        // Draw circle around cursor
-        this.ctx.beginPath();
+        this.ctx.moveTo(cursorX + cursorSize, cursorY);
         this.ctx.arc(cursorX, cursorY, cursorSize, 0, Math.PI * 2);
+        
+        if (large) {
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.lineWidth = 10;
+            this.ctx.stroke();
+        }
+        this.ctx.strokeStyle = player.color;
+        this.ctx.lineWidth = large ? 5 : 3;
         this.ctx.stroke();
         
-        // Draw recoil indicator when recoiling
-        if (this.isRecoiling) {
+        // Label cursors when more than one hand is in play
+        if (this.players.length > 1) {
+            this.ctx.fillStyle = player.color;
+            this.ctx.font = 'bold 16px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`P${player.id + 1}`, cursorX, cursorY - cursorSize - 8);
+        }
+        
+        // Draw recoil indicator when recoiling - just a ring with reduced motion
+        if (player.isRecoiling && this.reducedMotion) {
+            this.ctx.strokeStyle = 'rgba(255, 200, 0, 0.9)';
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(cursorX, cursorY, cursorSize + 8, 0, Math.PI * 2);
+            this.ctx.stroke();
+        } else if (player.isRecoiling) {
             // Draw gun flash effect
             this.ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
             this.ctx.beginPath();
@@ -382,7 +1622,7 @@ class BalloonGame {
         }
         
         // Draw pinch indicator when pinching
-        if (this.isPinching) {
+        if (pinch.isPinching) {
             this.ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
             this.ctx.beginPath();
             this.ctx.arc(cursorX, cursorY, cursorSize - 5, 0, Math.PI * 2);
@@ -390,10 +1630,9 @@ class BalloonGame {
         }
         
         // Draw recoil velocity meter (visual feedback for recoil intensity)
-        const recoilIntensity = Math.min(Math.abs(this.recoilVelocity) / (this.recoilThreshold * 3), 1);
+        const recoilIntensity = Math.min(Math.abs(recoil.velocity) / (recoil.options.threshold * 3), 1);
         if (recoilIntensity > 0.1) {
             const meterRadius = cursorSize - 5;
-            const meterLength = recoilIntensity * meterRadius;
             
             // Draw arc showing recoil velocity
             this.ctx.strokeStyle = `hsl(${120 - recoilIntensity * 120}, 100%, 50%)`; // Green to red
@@ -403,199 +1642,535 @@ class BalloonGame {
             this.ctx.stroke();
         }
         
+        // Draw hammer indicator: a notch at the top of the ring while the
+        // thumb is cocked and ready to drop
+        if (player.gestures.isEnabled('hammer') && hammer.cocked) {
+            this.ctx.fillStyle = '#00FF00';
+            this.ctx.beginPath();
+            this.ctx.moveTo(cursorX, cursorY - cursorSize + 2);
+            this.ctx.lineTo(cursorX - 7, cursorY - cursorSize - 10);
+            this.ctx.lineTo(cursorX + 7, cursorY - cursorSize - 10);
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+        
         // Draw pinch distance indicator (visual feedback)
         // Show a smaller inner circle that grows/shrinks based on pinch distance
-        const innerRadius = (this.pinchDistance / (this.pinchThreshold * 2)) * (cursorSize - 10);
-        this.ctx.strokeStyle = this.isPinching ? '#00FF00' : '#FFA500';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.arc(cursorX, cursorY, Math.max(5, innerRadius), 0, Math.PI * 2);
-        this.ctx.stroke();
+        if (player.gestures.isEnabled('pinch')) {
+            const innerRadius = (pinch.distance / (pinch.options.threshold * 2)) * (cursorSize - 10);
+            this.ctx.strokeStyle = pinch.isPinching ? '#00FF00' : '#FFA500';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(cursorX, cursorY, Math.max(5, innerRadius), 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
         
         this.ctx.restore();
     }
     
-    shoot() {
-        const now = Date.now();
-        if (now - this.lastShotTime < this.shootCooldown) return;
+    // source is what triggered the shot: a gesture recognizer name, 'click' or 'touch'.
+    // position defaults to where the player's cursor is now.
+    shoot(player, source, position = player.handPosition) {
+        if (!this.gameRunning || this.paused) return;
+        
+        const now = this.gameTime;
+        if (now - player.lastShotTime < this.shootCooldown) return;
+        
+        player.lastShotTime = now;
         
-        this.lastShotTime = now;
+        if (!position) return;
         
-        if (!this.handPosition) return;
+        // Limited ammo modes
+        if (this.mode.ammo) {
+            if (this.ammo <= 0) return;
+            this.ammo--;
+        }
+        
+        this.sound.shot();
         
-        // Check for balloon hits
+        // Check for balloon hits - only the topmost balloon under the cursor
+        let index = -1;
         for (let i = this.balloons.length - 1; i >= 0; i--) {
             const balloon = this.balloons[i];
-            const distance = Math.hypot(
-                balloon.x - this.handPosition.x,
-                balloon.y - this.handPosition.y
-            );
+            const distance = Math.hypot(balloon.x - position.x, balloon.y - position.y);
+            
+            if (distance < balloon.radius + this.hitTolerance) {
+                index = i;
+                break;
+            }
+        }
+        
+        const hit = index >= 0;
+        const balloon = this.balloons[index];
+        this.sessionLog.recordShot(player.id, position, source, hit ? balloon.id : null, this.sessionTime());
+        
+        if (hit) {
+            balloon.hits--;
+            this.input.rumble(player.id);
             
-            if (distance < balloon.radius + 20) {
+            if (balloon.hits > 0) {
+                // Armoured balloons crack before they pop - keeps the combo alive
+                player.lastHitTime = now;
+                this.createPopEffect(position.x, position.y, '#D5D8DC', balloon.radius);
+            } else {
                 // Pop the balloon!
-                this.score += balloon.points;
-                this.createPopEffect(balloon.x, balloon.y, balloon.color);
-                this.balloons.splice(i, 1);
-                this.updateHUD();
-                break; // Only pop one balloon per shot
+                this.balloons.splice(index, 1);
+                this.popBalloon(balloon, player);
+            }
+        }
+        
+        this.stats.recordShot(source, hit, player.id, now);
+        
+        // A miss breaks the combo
+        if (!hit) {
+            player.streak = 0;
+            this.sound.miss();
+        }
+        
+        this.updateHUD();
+        
+        if (this.mode.ammo && this.ammo <= 0) {
+            this.endGame('ammo');
+        }
+    }
+    
+    popBalloon(balloon, player) {
+        const type = BALLOON_TYPES[balloon.type];
+        
+        // Bombs subtract points and break the combo; everything else builds it
+        let points = balloon.points;
+        let multiplier = 1;
+        if (points < 0) {
+            player.streak = 0;
+        } else {
+            const previousMultiplier = this.getMultiplier(player);
+            player.streak++;
+            player.bestStreak = Math.max(player.bestStreak, player.streak);
+            player.lastHitTime = this.gameTime;
+            multiplier = this.getMultiplier(player);
+            points *= multiplier;
+            
+            // Celebrate each step up the multiplier
+            if (multiplier > previousMultiplier) {
+                this.particles.emit('confetti', balloon.x, balloon.y, this.particleOptions());
+            }
+        }
+        
+        // Scores never drop below zero
+        player.score = Math.max(0, player.score + points);
+        this.score = Math.max(0, this.score + points);
+        this.announceMilestones();
+        
+        this.stats.recordPop(balloon, points, player.id, this.gameTime);
+        this.sessionLog.recordPop(balloon.id, player.id, points, multiplier, this.sessionTime());
+        this.addScorePopup(balloon.x, balloon.y, balloon.points, multiplier, player);
+        
+        if (type.timeBonus && this.mode.timeLimit) {
+            this.timeLeft += type.timeBonus;
+        }
+        
+        if (type.split) {
+            for (let i = 0; i < type.split.count; i++) {
+                this.spawnBalloon(type.split.type, { origin: { x: balloon.x, y: balloon.y } });
             }
         }
+        
+        this.createPopEffect(balloon.x, balloon.y, balloon.color, balloon.radius, type.popEffects);
+    }
+    
+    // Tells screen readers each time the score passes a milestone
+    announceMilestones() {
+        let passed = null;
+        while (this.nextMilestone < SCORE_MILESTONES.length && this.score >= SCORE_MILESTONES[this.nextMilestone]) {
+            passed = SCORE_MILESTONES[this.nextMilestone];
+            this.nextMilestone++;
+        }
+        if (passed !== null) {
+            this.announcer.announce(`Score ${this.score} - passed ${passed} points`);
+        }
+    }
+    
+    getMultiplier(player) {
+        return Math.min(1 + Math.floor(player.streak / this.comboStep), this.maxMultiplier);
+    }
+    
+    // Combos run out when the next hit doesn't come in time
+    updateCombos() {
+        const now = this.gameTime;
+        let changed = false;
+        
+        this.players.forEach(player => {
+            if (player.streak > 0 && now - player.lastHitTime > this.comboWindow) {
+                player.streak = 0;
+                changed = true;
+            }
+        });
+        
+        if (changed) this.updateHUD();
+    }
+    
+    addScorePopup(x, y, points, multiplier, player) {
+        let text = points < 0 ? `${points}` : `+${points}`;
+        if (multiplier > 1) text += ` x${multiplier}`;
+        
+        this.scorePopups.push({
+            x: x,
+            y: y,
+            text: text,
+            color: points < 0 ? '#E74C3C' : (this.players.length > 1 ? player.color : '#FFFFFF'),
+            life: 1
+        });
+    }
+    
+    updateScorePopups() {
+        retain(this.scorePopups, popup => {
+            popup.y -= 1; // Float upwards
+            popup.life -= 0.02; // Per tick - gone after 50 ticks
+            return popup.life > 0;
+        });
+    }
+    
+    drawScorePopups() {
+        this.ctx.save();
+        this.ctx.font = 'bold 28px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+        
+        this.scorePopups.forEach(popup => {
+            this.ctx.globalAlpha = Math.min(popup.life * 2, 1);
+            this.ctx.fillStyle = popup.color;
+            this.ctx.strokeText(popup.text, popup.x, popup.y);
+            this.ctx.fillText(popup.text, popup.x, popup.y);
+        });
+        
+        this.ctx.restore();
+    }
+    
+    // Palette, motion and crosshair choices from the settings
+    applyAccessibility() {
+        const paletteId = this.settings.get('palette');
+        this.palette = BALLOON_PALETTES[paletteId] || BALLOON_PALETTES.standard;
+        this.spawnColors = paletteColors(paletteId, this.balloonColors);
+        this.reducedMotion = prefersReducedMotion(this.settings.get('motion'));
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+    }
+    
+    // False when the player chose to play with mouse, keyboard or gamepad
+    usesCamera() {
+        return this.settings.get('inputMode') !== 'no-camera';
+    }
+    
+    // Middle of the player's half of the screen (all of it when solo)
+    startingCursor(index) {
+        return {
+            x: this.canvas.width * (index + 0.5) / this.players.length,
+            y: this.canvas.height / 2
+        };
     }
     
-    handleClick(e) {
-        if (!this.gameRunning) return;
+    // Cursor positions from the input devices, kept on screen
+    aimCursor(index, x, y) {
+        const player = this.players[index];
+        if (!player || !this.gameRunning || this.paused) return;
         
-        this.handPosition = {
-            x: e.clientX,
-            y: e.clientY
+        player.handPosition = {
+            x: clamp(x, 0, this.canvas.width),
+            y: clamp(y, 0, this.canvas.height)
         };
+    }
+    
+    moveCursor(index, dx, dy) {
+        const player = this.players[index];
+        if (!player) return;
         
-        this.shoot();
-    }
-    
-    createPopEffect(x, y, color) {
-        // Create particle effect for balloon pop
-        const particles = [];
-        for (let i = 0; i < 10; i++) {
-            const angle = (Math.PI * 2 / 10) * i;
-            const speed = 3 + Math.random() * 5;
-            particles.push({
-                x: x,
-                y: y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                life: 1,
-                color: color
-            });
-        }
+        const from = player.handPosition || this.startingCursor(index);
+        this.aimCursor(index, from.x + dx, from.y + dy);
+    }
+    
+    // Pop sound plus particle emitters (see entities.js) - by default the
+    // rubber shreds of a burst balloon
+    createPopEffect(x, y, color, radius, effects = ['shreds']) {
+        this.sound.pop(radius);
         
-        // Animate particles
-        const animateParticles = () => {
-            let alive = false;
-            particles.forEach(p => {
-                if (p.life > 0) {
-                    alive = true;
-                    p.x += p.vx;
-                    p.y += p.vy;
-                    p.vy += 0.2; // Gravity
-                    p.life -= 0.03;
-                    
-                    if (p.life > 0) {
-                        this.ctx.globalAlpha = p.life;
-                        this.ctx.fillStyle = p.color;
-                        this.ctx.beginPath();
-                        this.ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
-                        this.ctx.fill();
-                        this.ctx.globalAlpha = 1;
-                    }
-                }
-            });
-            
-            if (alive && this.gameRunning) {
-                requestAnimationFrame(animateParticles);
-            }
+        effects.forEach(effect => {
+            this.particles.emit(effect, x, y, this.particleOptions({ color, radius }));
+        });
+    }
+    
+    // Emitter options shared by every effect; reduced motion keeps a few
+    // slow particles
+    particleOptions(options = {}) {
+        return {
+            ...options,
+            random: this.particleRandom,
+            amount: this.reducedMotion ? 0.3 : 1
         };
+    }
+    
+    // Weighted random pick from the balloon types this mode allows, using a
+    // wave's mix ({ typeId: weight }) instead of the default weights if given
+    pickBalloonType(mix = null) {
+        const weightOf = id => (mix ? mix[id] || 0 : BALLOON_TYPES[id].weight);
+        const eligible = Object.keys(BALLOON_TYPES).filter(id => {
+            const type = BALLOON_TYPES[id];
+            return weightOf(id) > 0 && (!type.requires || this.mode[type.requires]);
+        });
+        if (eligible.length === 0) return 'standard';
         
-        animateParticles();
+        const totalWeight = eligible.reduce((sum, id) => sum + weightOf(id), 0);
+        let roll = this.spawnRandom.next() * totalWeight;
+        for (const id of eligible) {
+            roll -= weightOf(id);
+            if (roll < 0) return id;
+        }
+        return eligible[eligible.length - 1];
     }
     
-    spawnBalloon() {
-        const colorData = this.balloonColors[Math.floor(Math.random() * this.balloonColors.length)];
-        const radius = 30 + Math.random() * 20;
+    // Extra rise speed as the round goes on - from the score, or from the
+    // game clock in modes where everyone must get the same balloons
+    speedRamp() {
+        if (this.mode.relaxed) return 0;
+        return this.mode.rampByTime ? this.gameTime / 30000 : this.score / 500;
+    }
+    
+    // Spawns below the screen at x (a fraction of the width, random if null),
+    // or at origin for balloons released by a splitter. speed is a [min, max]
+    // range that replaces the normal score-based speed.
+    spawnBalloon(typeId = this.pickBalloonType(), { origin = null, x = null, speed = null } = {}) {
+        const type = BALLOON_TYPES[typeId];
+        const random = origin ? this.effectRandom : this.spawnRandom;
+        const colorData = type.color
+            ? { color: type.color, points: type.points || 0, pattern: null }
+            : random.pick(this.spawnColors);
+        const [minRadius, maxRadius] = type.radius || [30, 50];
+        const radius = random.range(minRadius, maxRadius);
+        const riseSpeed = speed
+            ? random.range(speed[0], speed[1])
+            : random.range(1, 3) + this.speedRamp(); // Pixels per tick
         
         const balloon = {
-            x: radius + Math.random() * (this.canvas.width - radius * 2),
-            y: this.canvas.height + radius,
+            id: this.nextBalloonId++,
+            type: typeId,
+            x: origin ? origin.x : (x === null
+                ? random.range(radius, this.canvas.width - radius)
+                : radius + x * (this.canvas.width - radius * 2)),
+            y: origin ? origin.y : this.canvas.height + radius,
+            vx: origin ? random.range(-6, 6) : 0, // Sideways burst when split
             radius: radius,
             color: colorData.color,
             points: colorData.points,
-            speed: 1 + Math.random() * 2 + (this.score / 500), // Speed increases with score
-            wobbleOffset: Math.random() * Math.PI * 2,
-            wobbleSpeed: 0.02 + Math.random() * 0.02,
-            wobbleAmount: 0.5 + Math.random() * 1
+            pattern: colorData.pattern, // See BalloonPatterns
+            hits: type.hits || 1,
+            maxHits: type.hits || 1,
+            spawnTime: this.gameTime,
+            speed: riseSpeed * (type.speed || 1) * this.difficulty.speed,
+            wobbleOffset: random.range(0, Math.PI * 2),
+            wobbleSpeed: random.range(0.02, 0.04),
+            wobbleAmount: random.range(0.5, 1.5)
         };
         
         this.balloons.push(balloon);
+        this.sessionLog.recordSpawn(balloon, this.sessionTime());
     }
     
     updateBalloons() {
-        const now = Date.now();
+        const now = this.gameTime;
         
-        // Spawn new balloons
-        if (now - this.lastBalloonSpawn > this.balloonSpawnRate) {
+        // Spawn new balloons - levels follow their waves, other modes ramp up
+        if (this.waveSpawner) {
+            this.waveSpawner.update(now).forEach(x => {
+                const wave = this.waveSpawner.wave;
+                this.spawnBalloon(this.pickBalloonType(wave.mix), { x, speed: wave.speed || [1, 3] });
+            });
+        } else if (now - this.lastBalloonSpawn > this.balloonSpawnRate) {
             this.spawnBalloon();
             this.lastBalloonSpawn = now;
             
             // Gradually increase spawn rate
-            if (this.balloonSpawnRate > 400) {
+            if (!this.mode.relaxed && this.balloonSpawnRate > 400 * this.difficulty.spawnInterval) {
                 this.balloonSpawnRate -= 10;
             }
         }
         
-        // Update balloon positions
-        for (let i = this.balloons.length - 1; i >= 0; i--) {
-            const balloon = this.balloons[i];
-            
-            // Move balloon up with wobble
+        this.moveBalloons();
+    }
+    
+    // Also used to re-simulate rounds in playback
+    moveBalloons() {
+        retain(this.balloons, balloon => {
+            // Move balloon up with wobble (straight up with reduced motion)
             balloon.y -= balloon.speed;
             balloon.wobbleOffset += balloon.wobbleSpeed;
-            balloon.x += Math.sin(balloon.wobbleOffset) * balloon.wobbleAmount;
+            if (!this.reducedMotion) {
+                balloon.x += Math.sin(balloon.wobbleOffset) * balloon.wobbleAmount;
+            }
+            balloon.x += balloon.vx;
+            balloon.vx *= 0.95;
             
             // Remove balloons that go off screen
-            if (balloon.y < -balloon.radius) {
-                this.balloons.splice(i, 1);
-            }
+            if (balloon.y >= -balloon.radius) return true;
+            this.onBalloonEscaped(balloon);
+            return false;
+        });
+    }
+    
+    onBalloonEscaped(balloon) {
+        if (!this.gameRunning) return;
+        if (BALLOON_TYPES[balloon.type].harmlessEscape) return;
+        
+        this.stats.recordEscape();
+        
+        // Letting a balloon get away breaks everyone's combo
+        this.players.forEach(player => {
+            player.streak = 0;
+        });
+        this.updateHUD();
+        
+        if (!this.mode.lives) return;
+        
+        this.lives--;
+        this.updateHUD();
+        
+        if (this.lives <= 0) {
+            this.endGame('lives');
         }
     }
     
     drawBalloons() {
         this.balloons.forEach(balloon => {
-            this.ctx.save();
-            
-            // Draw balloon body
-            const gradient = this.ctx.createRadialGradient(
-                balloon.x - balloon.radius * 0.3,
-                balloon.y - balloon.radius * 0.3,
-                0,
-                balloon.x,
-                balloon.y,
-                balloon.radius
-            );
-            gradient.addColorStop(0, '#ffffff');
-            gradient.addColorStop(0.3, balloon.color);
-            gradient.addColorStop(1, this.darkenColor(balloon.color, 30));
+            const type = BALLOON_TYPES[balloon.type];
             
-            this.ctx.fillStyle = gradient;
-            this.ctx.beginPath();
-            this.ctx.ellipse(balloon.x, balloon.y, balloon.radius, balloon.radius * 1.15, 0, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Draw balloon string
+            // Draw balloon string, swaying with the balloon
             this.ctx.strokeStyle = '#666';
             this.ctx.lineWidth = 1;
             this.ctx.beginPath();
             this.ctx.moveTo(balloon.x, balloon.y + balloon.radius * 1.15);
             this.ctx.quadraticCurveTo(
-                balloon.x + Math.sin(balloon.wobbleOffset) * 10,
+                balloon.x + (this.reducedMotion ? 0 : Math.sin(balloon.wobbleOffset) * 10),
                 balloon.y + balloon.radius * 1.5,
                 balloon.x,
                 balloon.y + balloon.radius * 2
             );
             this.ctx.stroke();
             
-            // Draw knot
-            this.ctx.fillStyle = balloon.color;
-            this.ctx.beginPath();
-            this.ctx.moveTo(balloon.x - 5, balloon.y + balloon.radius * 1.12);
-            this.ctx.lineTo(balloon.x + 5, balloon.y + balloon.radius * 1.12);
-            this.ctx.lineTo(balloon.x, balloon.y + balloon.radius * 1.2);
-            this.ctx.closePath();
-            this.ctx.fill();
+            // Body, markings, icon and knot never change, so they come from a
+            // sprite painted once per colour and size
+            const radius = spriteBucket(balloon.radius);
+            SpriteCache.draw(this.ctx, this.balloonSprite(balloon, type, radius), balloon.x, balloon.y, balloon.radius / radius);
             
-            this.ctx.restore();
+            if (balloon.hits < balloon.maxHits) {
+                this.drawCracks(balloon);
+            }
         });
     }
     
+    balloonSprite(balloon, type, radius) {
+        const marking = this.palette.marking;
+        const key = [
+            'balloon', balloon.type, balloon.color, radius,
+            marking === 'pattern' ? balloon.pattern : '',
+            marking === 'label' ? balloon.points : ''
+        ].join('|');
+        
+        // Room around the body for the glow
+        const padding = type.glow ? 30 : 4;
+        const width = radius * 2 + padding * 2;
+        const height = radius * 2.4 + padding * 2;
+        
+        return this.sprites.get(key, width, height, width / 2, padding + radius * 1.15,
+            (ctx) => this.paintBalloon(ctx, balloon, type, radius));
+    }
+    
+    // Paints a balloon centred on (0, 0)
+    paintBalloon(ctx, balloon, type, radius) {
+        if (type.glow) {
+            ctx.shadowColor = type.glow;
+            ctx.shadowBlur = 25;
+        }
+        
+        // Draw balloon body
+        const gradient = ctx.createRadialGradient(-radius * 0.3, -radius * 0.3, 0, 0, 0, radius);
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(0.3, balloon.color);
+        gradient.addColorStop(1, this.darkenColor(balloon.color, 30));
+        
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, radius, radius * 1.15, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        
+        if (type.outline) {
+            ctx.strokeStyle = type.outline;
+            ctx.lineWidth = 4;
+            ctx.stroke();
+        }
+        
+        this.paintBalloonMarking(ctx, balloon, type, radius);
+        
+        if (type.icon) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `bold ${Math.round(radius * 0.8)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(type.icon, 0, 0);
+        }
+        
+        // Draw knot
+        ctx.fillStyle = balloon.color;
+        ctx.beginPath();
+        ctx.moveTo(-5, radius * 1.12);
+        ctx.lineTo(5, radius * 1.12);
+        ctx.lineTo(0, radius * 1.2);
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    // Patterns or point labels from colour-blind palettes, so a balloon's
+    // value can be read without telling colours apart
+    paintBalloonMarking(ctx, balloon, type, radius) {
+        if (this.palette.marking === 'pattern' && balloon.pattern !== null) {
+            ctx.fillStyle = this.balloonPatterns.get(ctx, balloon.pattern);
+            ctx.beginPath();
+            ctx.ellipse(0, 0, radius, radius * 1.15, 0, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (this.palette.marking === 'label' && !type.icon) {
+            ctx.font = `bold ${Math.round(radius * 0.6)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeText(balloon.points, 0, 0);
+            ctx.fillText(balloon.points, 0, 0);
+        }
+    }
+    
+    // One jagged crack per hit taken
+    drawCracks(balloon) {
+        const damage = balloon.maxHits - balloon.hits;
+        
+        this.ctx.strokeStyle = 'rgba(40, 40, 40, 0.8)';
+        this.ctx.lineWidth = 2;
+        
+        for (let crack = 0; crack < damage; crack++) {
+            const angle = -Math.PI / 3 + crack * 2.4;
+            this.ctx.beginPath();
+            this.ctx.moveTo(balloon.x, balloon.y);
+            for (let step = 1; step <= 4; step++) {
+                const length = (balloon.radius * 0.9 * step) / 4;
+                const jag = step % 2 === 0 ? 0.25 : -0.25;
+                this.ctx.lineTo(
+                    balloon.x + Math.cos(angle + jag) * length,
+                    balloon.y + Math.sin(angle + jag) * length * 1.15
+                );
+            }
+            this.ctx.stroke();
+        }
+    }
+    
     darkenColor(color, percent) {
         const num = parseInt(color.replace('#', ''), 16);
         const amt = Math.round(2.55 * percent);
@@ -607,45 +2182,159 @@ class BalloonGame {
     
     updateHUD() {
         document.getElementById('score').textContent = this.score;
-        document.getElementById('timer').textContent = this.timeLeft;
+        document.getElementById('timer').textContent = this.mode.timeLimit
+            ? this.timeLeft
+            : this.formatDuration(this.elapsedTime);
+        document.getElementById('lives').textContent = '❤️'.repeat(Math.max(this.lives, 0)) || '0';
+        document.getElementById('ammo').textContent = this.ammo;
+        document.getElementById('accuracy').textContent = `${Math.round(this.getAccuracy() * 100)}%`;
+        // Co-op shares the score, but each hand builds its own combo
+        document.getElementById('combo').textContent =
+            this.players.map(player => this.formatCombo(player)).join(' · ');
+        
+        if (this.level) {
+            const waveCount = this.level.waves.length;
+            document.getElementById('wave').textContent =
+                `${Math.min(this.waveSpawner.waveIndex + 1, waveCount)}/${waveCount}`;
+            document.getElementById('goal').textContent = this.level.goal;
+        }
+        
+        // Only show the HUD items the current mode uses
+        ['timer', 'lives', 'ammo', 'accuracy', 'wave', 'goal'].forEach(item => {
+            document.getElementById(`hud-${item}`).style.display = this.mode.hud.includes(item) ? '' : 'none';
+        });
+        
+        // Versus splits the score between the two players
+        const versus = this.playerMode === 'versus';
+        document.getElementById('hud-score').style.display = versus ? 'none' : '';
+        document.getElementById('hud-combo').style.display = versus ? 'none' : '';
+        document.getElementById('versus-hud').style.display = versus ? '' : 'none';
+        if (versus) {
+            this.players.forEach(player => {
+                document.getElementById(`score-p${player.id + 1}`).textContent = player.score;
+                document.getElementById(`combo-p${player.id + 1}`).textContent = this.formatCombo(player);
+            });
+        }
     }
     
-    startTimer() {
-        const timerInterval = setInterval(() => {
-            if (!this.gameRunning) {
-                clearInterval(timerInterval);
-                return;
-            }
-            
+    formatCombo(player) {
+        return player && player.streak > 0 ? `x${this.getMultiplier(player)} (${player.streak})` : 'x1';
+    }
+    
+    getAccuracy() {
+        return this.stats.accuracy;
+    }
+    
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    // Ticks once per whole second of game time
+    updateClock() {
+        const seconds = Math.floor(this.gameTime / 1000);
+        if (seconds === this.elapsedTime) return;
+        
+        // Count down in timed modes, count up everywhere else
+        this.elapsedTime = seconds;
+        if (this.mode.timeLimit) {
             this.timeLeft--;
-            this.updateHUD();
             
-            if (this.timeLeft <= 0) {
-                this.endGame();
-                clearInterval(timerInterval);
+            // Countdown ticks for the last 10 seconds
+            if (this.timeLeft > 0 && this.timeLeft <= 10) {
+                this.sound.tick(this.timeLeft);
             }
-        }, 1000);
+            if (TIME_WARNINGS.includes(this.timeLeft)) {
+                this.announcer.announce(`${this.timeLeft} seconds left`, this.timeLeft <= 10);
+            }
+        }
+        this.updateHUD();
+        
+        if (this.mode.timeLimit && this.timeLeft <= 0) {
+            this.endGame('time');
+        }
     }
     
-    endGame() {
+    endGame(reason = 'time') {
         this.gameRunning = false;
+        this.clearPause();
+        this.input.configure(this.players.length, false);
         
-        // Stop camera
-        if (this.camera) {
-            this.camera.stop();
+        this.sound.stopMusic();
+        this.sound.gameOver();
+        
+        // Stop recording or replaying landmarks
+        this.recorder.stop();
+        if (this.replayer) {
+            this.replayer.stop();
+            this.replayer = null;
         }
+        document.getElementById('download-recording-btn').style.display =
+            this.recorder.hasFrames() ? '' : 'none';
         
-        // Stop video stream
-        if (this.video.srcObject) {
-            this.video.srcObject.getTracks().forEach(track => track.stop());
+        this.sessionLog.finish(reason, this.score, this.gameTime);
+        ['watch-replay-btn', 'export-replay-btn'].forEach(id => {
+            document.getElementById(id).style.display = this.sessionLog.hasEvents() ? '' : 'none';
+        });
+        
+        this.stopCamera();
+        
+        // Levels are cleared by reaching the goal score before time runs out
+        if (this.level && reason === 'time') {
+            const cleared = this.score >= this.level.goal;
+            reason = cleared ? 'cleared' : 'failed';
+            if (!this.replayRecording) {
+                this.levelProgress.record(this.level.id, this.score, cleared);
+            }
+        }
+        document.getElementById('next-level-btn').style.display =
+            reason === 'cleared' && this.nextLevel() ? '' : 'none';
+        
+        // Precision scales the final score by accuracy
+        if (this.mode.scoreByAccuracy) {
+            const accuracy = this.getAccuracy();
+            this.score = Math.round(this.score * accuracy);
+            this.players.forEach(player => {
+                player.score = Math.round(player.score * accuracy);
+            });
         }
         
         // Show game over screen
+        document.getElementById('gameover-title').textContent = END_REASON_TITLES[reason];
         document.getElementById('final-score-display').textContent = this.score;
         
+        // Mode-specific summary line
+        const summary = [];
+        if (this.level) {
+            summary.push(`Goal ${this.level.goal}`);
+        }
+        if (this.mode.scoreByAccuracy) {
+            summary.push(`Accuracy ${Math.round(this.getAccuracy() * 100)}% (${this.stats.hits}/${this.stats.shots.length} hits)`);
+        }
+        if (!this.mode.timeLimit) {
+            summary.push(`Time ${this.formatDuration(this.elapsedTime)}`);
+        }
+        if (this.playerMode === 'versus') {
+            summary.push(`Best streaks ${this.players.map(player => player.bestStreak).join(' / ')}`);
+        } else {
+            summary.push(`Best streak ${Math.max(...this.players.map(player => player.bestStreak))}`);
+        }
+        
         // Set score message based on performance
         const messageEl = document.getElementById('score-message');
-        if (this.score >= 1000) {
+        
+        if (this.playerMode === 'versus') {
+            const [first, second] = this.players;
+            document.getElementById('final-score-display').textContent = `${first.score} : ${second.score}`;
+            summary.unshift(`${first.name} vs ${second.name}`);
+            
+            if (first.score === second.score) {
+                messageEl.textContent = '🤝 It\'s a tie!';
+            } else {
+                const winner = first.score > second.score ? first : second;
+                messageEl.textContent = `🏆 ${winner.name} wins!`;
+            }
+        } else if (this.score >= 1000) {
             messageEl.textContent = '🎉 Incredible! You\'re a balloon-popping master!';
         } else if (this.score >= 500) {
             messageEl.textContent = '🌟 Amazing! Great hand-eye coordination!';
@@ -657,117 +2346,350 @@ class BalloonGame {
             messageEl.textContent = '💪 Nice try! Practice makes perfect!';
         }
         
+        const summaryEl = document.getElementById('round-summary');
+        summaryEl.textContent = summary.join(' · ');
+        summaryEl.style.display = summary.length > 0 ? '' : 'none';
+        
+        const finalScore = document.getElementById('final-score-display').textContent;
+        this.announcer.announce(`${END_REASON_TITLES[reason]} Final score ${finalScore}. ${messageEl.textContent}`);
+        
+        // Share the seed so others can play the same balloons
+        document.getElementById('seed-value').textContent = this.seed;
+        const modeParam = GAME_MODES[this.modeId] ? `mode=${this.modeId}&` : '';
+        document.getElementById('seed-link').href =
+            `${window.location.pathname}?${modeParam}seed=${encodeURIComponent(this.seed)}`;
+        
+        this.checkHighScore();
+        this.renderLeaderboard('gameover-leaderboard');
+        
         this.showScreen('gameover-screen');
     }
     
-    showError(message) {
-        document.getElementById('error-message').textContent = message;
-        this.showScreen('error-screen');
+    showStats() {
+        const stats = this.stats;
+        
+        document.getElementById('stat-shots').textContent = stats.shots.length;
+        document.getElementById('stat-hits').textContent = stats.hits;
+        document.getElementById('stat-misses').textContent = stats.misses;
+        document.getElementById('stat-accuracy').textContent = `${Math.round(stats.accuracy * 100)}%`;
+        document.getElementById('stat-escaped').textContent = stats.escaped;
+        document.getElementById('stat-reaction').textContent = stats.pops.length > 0
+            ? `${(stats.averageReactionTime / 1000).toFixed(2)}s`
+            : '-';
+        
+        // Points by balloon colour
+        const colorList = document.getElementById('stat-colors');
+        colorList.innerHTML = '';
+        stats.pointsByColor().forEach(entry => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = entry.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(`${entry.points} pts (${entry.count} popped)`));
+            colorList.appendChild(item);
+        });
+        if (!colorList.children.length) {
+            colorList.innerHTML = '<li>No balloons popped</li>';
+        }
+        
+        // Shots and accuracy per input method
+        const sourceRows = document.getElementById('stat-sources');
+        sourceRows.innerHTML = '';
+        stats.bySource().forEach(entry => {
+            const row = document.createElement('tr');
+            [
+                this.inputMethodNames[entry.source] || entry.source,
+                entry.shots,
+                entry.hits,
+                `${Math.round(entry.accuracy * 100)}%`
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            sourceRows.appendChild(row);
+        });
+        if (!sourceRows.children.length) {
+            sourceRows.innerHTML = '<tr><td colspan="4">No shots fired</td></tr>';
+        }
+        
+        this.showScreen('stats-screen');
+    }
+    
+    stopCamera() {
+        // Stop camera
+        if (this.camera) {
+            this.camera.stop();
+            this.camera = null;
+        }
         
-        // Stop camera if running
+        // Stop video stream
         if (this.video.srcObject) {
             this.video.srcObject.getTracks().forEach(track => track.stop());
         }
     }
     
-    gameLoop() {
-        if (!this.gameRunning) return;
+    errorTitle(error) {
+        return error instanceof ModelLoadError ? '⚠️ Hand Tracking Unavailable' : '⚠️ Camera Error';
+    }
+    
+    showError(message, title = '⚠️ Camera Error') {
+        this.gameRunning = false;
+        this.clearPause();
+        this.sound.stopMusic();
+        this.calibration = null;
+        this.recorder.stop();
+        if (this.replayer) {
+            this.replayer.stop();
+            this.replayer = null;
+        }
         
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        document.getElementById('error-title').textContent = title;
+        document.getElementById('error-message').textContent = message;
+        this.showScreen('error-screen');
         
-        // Draw background gradient
-        const bgGradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
-        bgGradient.addColorStop(0, '#87CEEB');
-        bgGradient.addColorStop(1, '#98FB98');
-        this.ctx.fillStyle = bgGradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.stopCamera();
+    }
+    
+    gameLoop(frameTime) {
+        if (!this.gameRunning) return;
         
-        // Draw clouds
-        this.drawClouds();
+        // Keep drawing while paused so players can see their cursor, but
+        // don't let the game clock catch up on the paused time afterwards
+        const workStart = performance.now();
+        if (this.paused) {
+            this.lastFrameTime = frameTime;
+            this.render();
+            this.recordFrame(frameTime, workStart);
+            requestAnimationFrame((time) => this.gameLoop(time));
+            return;
+        }
         
-        // Update and draw balloons
-        this.updateBalloons();
-        this.drawBalloons();
+        // Catch the simulation up with real time in fixed steps, so balloons
+        // move at the same speed on a 30 Hz laptop and a 144 Hz monitor
+        const frameDelta = this.lastFrameTime === null ? 0 : frameTime - this.lastFrameTime;
+        this.lastFrameTime = frameTime;
+        this.accumulator += Math.min(frameDelta, this.maxFrameTime);
         
-        // Draw hand visualization (if hand detected)
-        if (this.handPosition) {
-            // Redraw cursor with recoil feedback
-            const cursorSize = 30;
-            this.ctx.strokeStyle = '#FF0000';
-            this.ctx.lineWidth = 3;
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.handPosition.x - cursorSize, this.handPosition.y);
-            this.ctx.lineTo(this.handPosition.x + cursorSize, this.handPosition.y);
-            this.ctx.moveTo(this.handPosition.x, this.handPosition.y - cursorSize);
-            this.ctx.lineTo(this.handPosition.x, this.handPosition.y + cursorSize);
-            this.ctx.stroke();
-            
-            this.ctx.beginPath();
-            this.ctx.arc(this.handPosition.x, this.handPosition.y, cursorSize, 0, Math.PI * 2);
-            this.ctx.stroke();
+        while (this.accumulator >= this.fixedStep) {
+            this.accumulator -= this.fixedStep;
+            this.gameTime += this.fixedStep;
+            this.update();
             
-            // Draw recoil indicator when recoiling
-            if (this.isRecoiling) {
-                // Draw gun flash effect
-                this.ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
-                this.ctx.beginPath();
-                this.ctx.arc(this.handPosition.x, this.handPosition.y, cursorSize + 10, 0, Math.PI * 2);
-                this.ctx.fill();
-                
-                // Draw recoil kickback lines
-                this.ctx.strokeStyle = 'rgba(255, 200, 0, 0.9)';
-                this.ctx.lineWidth = 4;
-                for (let i = 0; i < 8; i++) {
-                    const angle = (Math.PI * 2 / 8) * i;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(this.handPosition.x, this.handPosition.y);
-                    this.ctx.lineTo(
-                        this.handPosition.x + Math.cos(angle) * (cursorSize + 20),
-                        this.handPosition.y + Math.sin(angle) * (cursorSize + 20)
-                    );
-                    this.ctx.stroke();
-                }
+            // The round can end mid-frame (time, lives or ammo)
+            if (!this.gameRunning) return;
+        }
+        
+        this.render();
+        this.recordFrame(frameTime, workStart);
+        
+        requestAnimationFrame((time) => this.gameLoop(time));
+    }
+    
+    // Feeds the debug overlay (see debug-overlay.js)
+    recordFrame(frameTime, workStart) {
+        this.debugOverlay.recordFrame(frameTime, performance.now() - workStart);
+        this.debugOverlay.refresh(frameTime, {
+            balloons: this.balloons.length,
+            particles: this.particles.count,
+            sprites: this.sprites.size
+        });
+    }
+    
+    pause(reason = 'manual') {
+        if (!this.gameRunning || this.paused) return;
+        
+        this.paused = true;
+        this.pauseReason = reason;
+        this.sound.stopMusic();
+        
+        const messages = {
+            manual: 'Press P, Resume or show an open palm to carry on',
+            gesture: 'Show an open palm again, press P or Resume to carry on',
+            hidden: 'The game paused while you were away',
+            'hand-lost': 'We lost sight of your hand'
+        };
+        document.getElementById('pause-title').textContent =
+            reason === 'hand-lost' ? '✋ Raise your hand to resume' : '⏸️ Paused';
+        document.getElementById('pause-message').textContent = messages[reason];
+        document.getElementById('pause-countdown').textContent = '';
+        document.getElementById('resume-btn').style.display = '';
+        document.getElementById('pause-overlay').style.display = '';
+    }
+    
+    togglePause(reason = 'manual') {
+        if (this.paused) {
+            this.startResumeCountdown();
+        } else {
+            this.pause(reason);
+        }
+    }
+    
+    // Count down before play continues so players can get their aim back
+    startResumeCountdown() {
+        if (!this.paused || this.resumeTimer) return;
+        
+        let remaining = this.resumeCountdown;
+        const countdown = document.getElementById('pause-countdown');
+        countdown.textContent = remaining;
+        document.getElementById('resume-btn').style.display = 'none';
+        
+        this.resumeTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                countdown.textContent = remaining;
+                this.sound.tick(remaining);
+                return;
             }
             
-            // Draw pinch indicator when pinching
-            if (this.isPinching) {
-                this.ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
-                this.ctx.beginPath();
-                this.ctx.arc(this.handPosition.x, this.handPosition.y, cursorSize - 5, 0, Math.PI * 2);
-                this.ctx.fill();
+            this.clearPause();
+            this.lastHandSeen = this.lastHandSeen === null ? null : Date.now();
+            this.sound.startMusic();
+        }, 1000);
+        this.sound.tick(remaining);
+    }
+    
+    cancelResumeCountdown() {
+        if (!this.resumeTimer) return;
+        
+        clearInterval(this.resumeTimer);
+        this.resumeTimer = null;
+        document.getElementById('pause-countdown').textContent = '';
+        document.getElementById('resume-btn').style.display = '';
+    }
+    
+    clearPause() {
+        this.cancelResumeCountdown();
+        this.paused = false;
+        this.pauseReason = null;
+        document.getElementById('pause-overlay').style.display = 'none';
+    }
+    
+    // Auto-pause when the player steps away, and count back in when their
+    // hand returns. Players who only click or tap never trigger it
+    checkHandPresence(present) {
+        if (!this.gameRunning || this.replayer) return;
+        
+        const now = Date.now();
+        if (present) {
+            this.lastHandSeen = now;
+            if (this.paused && this.pauseReason === 'hand-lost') {
+                this.startResumeCountdown();
+            }
+        } else if (this.paused) {
+            // Hand went away again before the countdown finished
+            if (this.pauseReason === 'hand-lost') {
+                this.cancelResumeCountdown();
+            }
+        } else if (this.lastHandSeen !== null && now - this.lastHandSeen > this.handLostTimeout) {
+            this.pause('hand-lost');
+        }
+    }
+    
+    // Advances the game by one fixed step
+    update() {
+        this.updating = true;
+        this.input.update();
+        this.updateBalloons();
+        this.updateCombos();
+        this.updateScorePopups();
+        this.particles.update();
+        this.players.forEach(player => {
+            this.sessionLog.recordCursor(player.id, player.handPosition, this.gameTime);
+        });
+        this.updateClock();
+        this.updating = false;
+    }
+    
+    // Game time for the session log. Events between steps (hand tracking,
+    // clicks) take effect before the next step moves the balloons, so they
+    // are logged against that step - playback then repeats them in order.
+    sessionTime() {
+        return this.updating ? this.gameTime : this.gameTime + this.fixedStep;
+    }
+    
+    // Everything on the canvas is drawn here, in layers from back to front.
+    // Score popups are part of the HUD; the rest of it is HTML above the canvas.
+    render() {
+        this.drawBackground();
+        this.drawBalloons();
+        this.particles.draw(this.ctx);
+        this.drawCursors();
+        this.drawScorePopups();
+    }
+    
+    drawBackground() {
+        // Sky gradient, painted once per screen size
+        const { width, height } = this.canvas;
+        const sky = this.sprites.get(`sky|${width}x${height}`, width, height, 0, 0, (ctx) => {
+            const bgGradient = ctx.createLinearGradient(0, 0, 0, height);
+            bgGradient.addColorStop(0, '#87CEEB');
+            bgGradient.addColorStop(1, '#98FB98');
+            ctx.fillStyle = bgGradient;
+            ctx.fillRect(0, 0, width, height);
+        });
+        SpriteCache.draw(this.ctx, sky, 0, 0);
+        
+        this.drawClouds();
+    }
+    
+    // Each player's cursor, if their hand is detected
+    drawCursors() {
+        this.players.forEach(player => {
+            if (player.handPosition) {
+                this.drawCursor(player);
             }
+        });
+    }
+    
+    // The logged round, scaled to fit if the screen size has changed since
+    renderPlayback() {
+        const { width, height } = this.playback.log.canvas;
+        const scale = Math.min(this.canvas.width / width, this.canvas.height / height);
+        
+        this.drawBackground();
+        this.ctx.save();
+        this.ctx.translate((this.canvas.width - width * scale) / 2, (this.canvas.height - height * scale) / 2);
+        this.ctx.scale(scale, scale);
+        this.drawBalloons();
+        this.particles.draw(this.ctx);
+        this.drawCursorTrails();
+        this.drawCursors();
+        this.drawScorePopups();
+        this.ctx.restore();
+    }
+    
+    // The recent cursor path, fading out toward its tail
+    drawCursorTrails() {
+        const now = this.playback.time;
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 3;
+        this.ctx.lineCap = 'round';
+        this.playback.trails.forEach((trail, index) => {
+            const player = this.players[index];
+            if (!player) return;
             
-            // Draw recoil velocity meter
-            const recoilIntensity = Math.min(Math.abs(this.recoilVelocity) / (this.recoilThreshold * 3), 1);
-            if (recoilIntensity > 0.1) {
-                const meterRadius = cursorSize - 5;
-                this.ctx.strokeStyle = `hsl(${120 - recoilIntensity * 120}, 100%, 50%)`;
-                this.ctx.lineWidth = 3;
+            this.ctx.strokeStyle = player.color;
+            for (let i = 1; i < trail.length; i++) {
+                const from = trail[i - 1];
+                const to = trail[i];
+                if (from.x === null || to.x === null) continue; // Hand was lost
+                
+                this.ctx.globalAlpha = 1 - (now - to.t) / PLAYBACK_TRAIL_TIME;
                 this.ctx.beginPath();
-                this.ctx.arc(this.handPosition.x, this.handPosition.y, meterRadius, -Math.PI / 2, -Math.PI / 2 + Math.PI * recoilIntensity);
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.lineTo(to.x, to.y);
                 this.ctx.stroke();
             }
-            
-            // Draw pinch distance indicator
-            const innerRadius = (this.pinchDistance / (this.pinchThreshold * 2)) * (cursorSize - 10);
-            this.ctx.strokeStyle = this.isPinching ? '#00FF00' : '#FFA500';
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.arc(this.handPosition.x, this.handPosition.y, Math.max(5, innerRadius), 0, Math.PI * 2);
-            this.ctx.stroke();
-        }
-        
-        // Continue game loop at 60 FPS
-        requestAnimationFrame(() => this.gameLoop());
+        });
+        this.ctx.restore();
     }
     
     drawClouds() {
         // Draw some decorative clouds
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        
-        const time = Date.now() / 10000;
+        const time = this.gameTime / 10000;
         
         // Cloud 1
         this.drawCloud(100 + Math.sin(time) * 20, 80, 1);
@@ -778,18 +2700,16 @@ class BalloonGame {
     }
     
     drawCloud(x, y, scale) {
-        this.ctx.save();
-        this.ctx.translate(x, y);
-        this.ctx.scale(scale, scale);
-        
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, 30, 0, Math.PI * 2);
-        this.ctx.arc(25, -10, 25, 0, Math.PI * 2);
-        this.ctx.arc(50, 0, 30, 0, Math.PI * 2);
-        this.ctx.arc(25, 10, 20, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        this.ctx.restore();
+        const cloud = this.sprites.get('cloud', 120, 80, 35, 40, (ctx) => {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.beginPath();
+            ctx.arc(0, 0, 30, 0, Math.PI * 2);
+            ctx.arc(25, -10, 25, 0, Math.PI * 2);
+            ctx.arc(50, 0, 30, 0, Math.PI * 2);
+            ctx.arc(25, 10, 20, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        SpriteCache.draw(this.ctx, cloud, x, y, scale);
     }
 }
 
@@ -797,3 +2717,12 @@ class BalloonGame {
 document.addEventListener('DOMContentLoaded', () => {
     window.game = new BalloonGame();
 });
+
+// Cache the game and model for offline play (service workers need http(s))
+if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
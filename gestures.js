@@ -0,0 +1,365 @@
+// Gesture recognizers
+// Recognizers read the shared landmark history and emit named gesture events
+// ('fire', 'charge', 'open-palm'). The registry owns the history and lets each
+// recognizer be switched on or off and tuned on its own. Fire events carry
+// motionStart, the timestamp of the frame where the firing motion began, so
+// the game can aim the shot from before the gesture moved the hand.
+
+// MediaPipe hand landmark indices
+const LANDMARKS = {
+    WRIST: 0,
+    THUMB_TIP: 4,
+    INDEX_MCP: 5,
+    INDEX_PIP: 6,
+    INDEX_TIP: 8,
+    MIDDLE_PIP: 10,
+    MIDDLE_TIP: 12,
+    RING_PIP: 14,
+    RING_TIP: 16,
+    PINKY_PIP: 18,
+    PINKY_TIP: 20
+};
+
+class GestureRecognizer {
+    constructor(name, defaults, options = {}) {
+        this.name = name;
+        this.enabled = true;
+        this.options = { ...defaults, ...options };
+    }
+    
+    configure(options) {
+        Object.assign(this.options, options);
+    }
+    
+    // Called once per frame with the landmark history (oldest first).
+    // Returns the gesture events recognized on this frame.
+    update(history) {
+        return [];
+    }
+    
+    reset() {}
+    
+    event(type, timestamp, detail = {}) {
+        return { type, source: this.name, timestamp, ...detail };
+    }
+}
+
+// Finger gun recoil: a sharp push toward the camera, or a quick
+// forward-then-back motion of the wrist
+class RecoilRecognizer extends GestureRecognizer {
+    constructor(options) {
+        super('recoil', {
+            threshold: 0.015, // Minimum z-velocity (per second) for a push
+            zRange: 0.02, // Minimum z travel for forward-then-back
+            minPatternTime: 50, // ms
+            maxPatternTime: 300, // ms
+            cooldown: 300, // ms between shots
+            chargeRatio: 0.5 // Fraction of threshold that counts as charging
+        }, options);
+        this.lastFireTime = 0;
+        this.reset();
+    }
+    
+    reset() {
+        this.velocity = 0;
+        this.charging = false;
+    }
+    
+    update(history) {
+        // Need at least 5 frames of history to detect motion
+        if (history.length < 5) {
+            this.velocity = 0;
+            this.charging = false;
+            return [];
+        }
+        
+        const { threshold, zRange, minPatternTime, maxPatternTime, cooldown, chargeRatio } = this.options;
+        const events = [];
+        
+        // Calculate velocity by comparing oldest and newest of the recent positions
+        // z-coordinate: positive = closer to camera (forward), negative = farther (backward)
+        const recent = history.slice(-5);
+        const oldest = recent[0];
+        const newest = recent[recent.length - 1];
+        
+        const timeDiff = newest.timestamp - oldest.timestamp;
+        if (timeDiff < 10) return events; // Avoid division by very small numbers
+        
+        const zVelocity = (wristZ(newest) - wristZ(oldest)) / (timeDiff / 1000);
+        this.velocity = zVelocity;
+        
+        // Rising edge of a push building up
+        const charging = zVelocity > threshold * chargeRatio;
+        if (charging && !this.charging) {
+            events.push(this.event('charge', newest.timestamp, {
+                intensity: Math.min(zVelocity / threshold, 1)
+            }));
+        }
+        this.charging = charging;
+        
+        const canFire = () => newest.timestamp - this.lastFireTime > cooldown;
+        const fire = (method, peak) => {
+            this.lastFireTime = newest.timestamp;
+            events.push(this.event('fire', newest.timestamp, {
+                method,
+                motionStart: motionStart(history, wristZ, peak)
+            }));
+        };
+        
+        // Method 1: Sharp forward push (high positive velocity)
+        if (zVelocity > threshold && canFire()) {
+            fire('push', history.length - 1);
+        }
+        
+        // Method 2: Forward then backward motion (peak followed by valley)
+        if (history.length >= 10 && canFire()) {
+            const positions = history.slice(-10);
+            let maxZIndex = 0;
+            let minZIndex = 0;
+            
+            positions.forEach((frame, i) => {
+                if (wristZ(frame) > wristZ(positions[maxZIndex])) maxZIndex = i;
+                if (wristZ(frame) < wristZ(positions[minZIndex])) minZIndex = i;
+            });
+            
+            const travel = wristZ(positions[maxZIndex]) - wristZ(positions[minZIndex]);
+            if (maxZIndex < minZIndex && travel > zRange) {
+                const patternTime = positions[minZIndex].timestamp - positions[maxZIndex].timestamp;
+                if (patternTime < maxPatternTime && patternTime > minPatternTime) {
+                    fire('forward-back', history.length - positions.length + maxZIndex);
+                }
+            }
+        }
+        
+        return events;
+    }
+}
+
+// Thumb and index fingertips touching
+class PinchRecognizer extends GestureRecognizer {
+    constructor(options) {
+        super('pinch', {
+            threshold: 0.05 // Normalized thumb-index distance
+        }, options);
+        this.reset();
+    }
+    
+    reset() {
+        this.distance = 0;
+        this.isPinching = false;
+    }
+    
+    update(history) {
+        const frame = history[history.length - 1];
+        this.distance = pinchDistance(frame);
+        
+        const wasPinching = this.isPinching;
+        this.isPinching = this.distance < this.options.threshold;
+        
+        // Fire on the rising edge only
+        if (this.isPinching && !wasPinching) {
+            return [this.event('fire', frame.timestamp, {
+                motionStart: motionStart(history, f => -pinchDistance(f), history.length - 1)
+            })];
+        }
+        return [];
+    }
+}
+
+// Finger gun hammer: the thumb is raised (cocked), then dropped onto the
+// side of the pointing index finger. Distances are measured in palm lengths
+// (wrist to index knuckle) so they don't change with distance to the camera.
+class ThumbHammerRecognizer extends GestureRecognizer {
+    constructor(options) {
+        super('hammer', {
+            cockedSpread: 0.5, // Thumb tip this far from the index finger counts as raised
+            droppedSpread: 0.25, // ...and this close as dropped
+            cooldown: 250 // ms between shots
+        }, options);
+        this.lastFireTime = -Infinity;
+        this.reset();
+    }
+    
+    reset() {
+        this.spread = 0;
+        this.cocked = false;
+    }
+    
+    update(history) {
+        const frame = history[history.length - 1];
+        const { cockedSpread, droppedSpread, cooldown } = this.options;
+        this.spread = thumbSpread(frame);
+        
+        if (this.spread > cockedSpread) {
+            this.cocked = true;
+            return [];
+        }
+        
+        // One shot per drop - the thumb has to come back up before the next
+        if (this.cocked && this.spread < droppedSpread) {
+            this.cocked = false;
+            if (frame.timestamp - this.lastFireTime > cooldown) {
+                this.lastFireTime = frame.timestamp;
+                return [this.event('fire', frame.timestamp, {
+                    motionStart: motionStart(history, f => -thumbSpread(f), history.length - 1)
+                })];
+            }
+        }
+        return [];
+    }
+}
+
+// All four fingers extended and held for a moment
+class OpenPalmRecognizer extends GestureRecognizer {
+    constructor(options) {
+        super('open-palm', {
+            holdTime: 500 // ms the palm must stay open
+        }, options);
+        this.reset();
+    }
+    
+    reset() {
+        this.openSince = null;
+        this.triggered = false;
+    }
+    
+    update(history) {
+        const frame = history[history.length - 1];
+        const landmarks = frame.landmarks;
+        const wrist = landmarks[LANDMARKS.WRIST];
+        
+        // A finger is extended when its tip is farther from the wrist than its middle joint
+        const fingers = [
+            [LANDMARKS.INDEX_TIP, LANDMARKS.INDEX_PIP],
+            [LANDMARKS.MIDDLE_TIP, LANDMARKS.MIDDLE_PIP],
+            [LANDMARKS.RING_TIP, LANDMARKS.RING_PIP],
+            [LANDMARKS.PINKY_TIP, LANDMARKS.PINKY_PIP]
+        ];
+        const open = fingers.every(([tip, pip]) =>
+            distance2d(landmarks[tip], wrist) > distance2d(landmarks[pip], wrist)
+        );
+        
+        if (!open) {
+            this.reset();
+            return [];
+        }
+        
+        if (this.openSince === null) this.openSince = frame.timestamp;
+        
+        if (!this.triggered && frame.timestamp - this.openSince >= this.options.holdTime) {
+            this.triggered = true;
+            return [this.event('open-palm', frame.timestamp)];
+        }
+        return [];
+    }
+}
+
+class GestureRegistry {
+    constructor(maxHistorySize = 15) {
+        this.maxHistorySize = maxHistorySize; // Number of frames to track
+        this.history = [];
+        this.recognizers = new Map();
+    }
+    
+    register(recognizer) {
+        this.recognizers.set(recognizer.name, recognizer);
+        return recognizer;
+    }
+    
+    get(name) {
+        return this.recognizers.get(name);
+    }
+    
+    isEnabled(name) {
+        const recognizer = this.recognizers.get(name);
+        return Boolean(recognizer && recognizer.enabled);
+    }
+    
+    setEnabled(name, enabled) {
+        const recognizer = this.recognizers.get(name);
+        if (!recognizer) return;
+        
+        recognizer.enabled = enabled;
+        recognizer.reset();
+    }
+    
+    configure(name, options) {
+        const recognizer = this.recognizers.get(name);
+        if (recognizer) recognizer.configure(options);
+    }
+    
+    // Add a frame of landmarks and collect the events from every enabled recognizer
+    process(landmarks, timestamp) {
+        this.history.push({ landmarks, timestamp });
+        if (this.history.length > this.maxHistorySize) {
+            this.history.shift();
+        }
+        
+        const events = [];
+        this.recognizers.forEach(recognizer => {
+            if (recognizer.enabled) {
+                events.push(...recognizer.update(this.history));
+            }
+        });
+        return events;
+    }
+    
+    // Forget everything when the hand is lost
+    reset() {
+        this.history = [];
+        this.recognizers.forEach(recognizer => recognizer.reset());
+    }
+    
+    static createDefault() {
+        const registry = new GestureRegistry();
+        registry.register(new RecoilRecognizer());
+        registry.register(new PinchRecognizer());
+        registry.register(new ThumbHammerRecognizer());
+        registry.register(new OpenPalmRecognizer());
+        return registry;
+    }
+}
+
+function wristZ(frame) {
+    return frame.landmarks[LANDMARKS.WRIST].z;
+}
+
+function pinchDistance(frame) {
+    return distance2d(frame.landmarks[LANDMARKS.THUMB_TIP], frame.landmarks[LANDMARKS.INDEX_TIP]);
+}
+
+// Distance from the thumb tip to the index finger's first bone, in palm lengths
+function thumbSpread(frame) {
+    const landmarks = frame.landmarks;
+    const palm = distance2d(landmarks[LANDMARKS.WRIST], landmarks[LANDMARKS.INDEX_MCP]);
+    const distance = distanceToSegment(
+        landmarks[LANDMARKS.THUMB_TIP],
+        landmarks[LANDMARKS.INDEX_MCP],
+        landmarks[LANDMARKS.INDEX_PIP]
+    );
+    return palm > 0 ? distance / palm : 0;
+}
+
+function distance2d(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+}
+
+// Timestamp of the frame where value(frame) started its climb to
+// history[end] - walks back while the value keeps falling
+function motionStart(history, value, end) {
+    let start = end;
+    while (start > 0 && value(history[start - 1]) < value(history[start])) {
+        start--;
+    }
+    return history[start].timestamp;
+}
@@ -0,0 +1,128 @@
+// Hand landmark recording and replay
+// Captures the raw MediaPipe results that reach onHandResults so gestures
+// can be reproduced later without a webcam.
+
+const RECORDING_VERSION = 1;
+
+class HandRecorder {
+    constructor() {
+        this.frames = [];
+        this.recording = false;
+        this.startTime = 0;
+        this.recordedAt = null;
+    }
+    
+    start() {
+        this.frames = [];
+        this.recording = true;
+        this.startTime = performance.now();
+        this.recordedAt = new Date().toISOString();
+    }
+    
+    stop() {
+        this.recording = false;
+    }
+    
+    // timestamp is the frame's capture time on the performance.now() clock
+    capture(results, timestamp = performance.now()) {
+        if (!this.recording) return;
+        
+        // Copy only the plain landmark data - MediaPipe results also hold the
+        // camera image, which is neither serializable nor needed for replay
+        this.frames.push({
+            t: Math.max(0, timestamp - this.startTime),
+            multiHandLandmarks: (results.multiHandLandmarks || []).map(hand =>
+                hand.map(point => ({ x: point.x, y: point.y, z: point.z }))
+            ),
+            multiHandedness: (results.multiHandedness || []).map(hand => ({
+                index: hand.index,
+                label: hand.label,
+                score: hand.score
+            }))
+        });
+    }
+    
+    hasFrames() {
+        return this.frames.length > 0;
+    }
+    
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: this.recordedAt,
+            duration: this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0,
+            frames: this.frames
+        };
+    }
+    
+    download() {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const stamp = (this.recordedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+        downloadBlob(blob, `hand-recording-${stamp}.json`);
+    }
+}
+
+class HandReplayer {
+    constructor(recording, onResults) {
+        this.recording = HandReplayer.validate(recording);
+        this.onResults = onResults;
+        this.timeouts = [];
+        this.playing = false;
+    }
+    
+    // Feed every recorded frame back at its original offset from the start
+    start(onEnd) {
+        this.stop();
+        this.playing = true;
+        
+        this.recording.frames.forEach(frame => {
+            this.timeouts.push(setTimeout(() => {
+                this.onResults({
+                    multiHandLandmarks: frame.multiHandLandmarks,
+                    multiHandedness: frame.multiHandedness
+                });
+            }, frame.t));
+        });
+        
+        // Once the stream runs out the hand is gone
+        this.timeouts.push(setTimeout(() => {
+            this.playing = false;
+            this.onResults({ multiHandLandmarks: [], multiHandedness: [] });
+            if (onEnd) onEnd();
+        }, this.recording.duration + 1));
+    }
+    
+    stop() {
+        this.timeouts.forEach(id => clearTimeout(id));
+        this.timeouts = [];
+        this.playing = false;
+    }
+    
+    static validate(recording) {
+        if (!recording || !Array.isArray(recording.frames)) {
+            throw new Error('Invalid hand recording: missing frames.');
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported hand recording version: ${recording.version}`);
+        }
+        
+        const frames = recording.frames.slice().sort((a, b) => a.t - b.t);
+        return {
+            ...recording,
+            frames: frames,
+            duration: frames.length > 0 ? frames[frames.length - 1].t : 0
+        };
+    }
+    
+    static fromFile(file) {
+        return file.text().then(text => {
+            let recording;
+            try {
+                recording = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid hand recording: file is not valid JSON.');
+            }
+            return HandReplayer.validate(recording);
+        });
+    }
+}
@@ -0,0 +1,181 @@
+// Hand trackers
+// Two ways to run MediaPipe hand tracking behind one interface:
+//   WorkerHandTracker      MediaPipe Tasks in a Web Worker (hand-tracking-worker.js),
+//                          so inference never stalls the game loop
+//   MainThreadHandTracker  The MediaPipe Hands solution on the main thread, for
+//                          browsers without module workers or OffscreenCanvas
+// Both keep at most one frame in flight - frames captured while the tracker
+// is busy are dropped rather than queued - and report each result with the
+// capture timestamp of the frame it came from.
+//
+//   initialize(onProgress)     Load the model, reporting download progress in
+//                              bytes; rejects with a ModelLoadError
+//   capture(video, timestamp)  Send the current video frame
+//   onResults(callback)        callback(results, timestamp)
+//   onError(callback)          callback(error) if the tracker stops working
+//                              after it started
+//   busy                       True while a frame is being processed
+//   close()
+
+class WorkerHandTracker {
+    constructor(options) {
+        this.options = options; // { numHands, minDetectionConfidence, minTrackingConfidence }
+        this.worker = null;
+        this.busy = false;
+        this.callback = () => {};
+        this.errorCallback = () => {};
+    }
+    
+    static supported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+    
+    onResults(callback) {
+        this.callback = callback;
+    }
+    
+    onError(callback) {
+        this.errorCallback = callback;
+    }
+    
+    // The model is downloaded here rather than in the worker, so the loading
+    // screen can show progress and an offline start fails straight away
+    async initialize(onProgress) {
+        const model = await downloadModelFile(HAND_LANDMARKER_MODEL_URL, 'hand_landmarker.task', onProgress);
+        
+        this.worker = new Worker('hand-tracking-worker.js', { type: 'module' });
+        
+        const ready = new Promise((resolve, reject) => {
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    this.worker.onmessage = (e) => this.handleMessage(e.data);
+                    this.worker.onerror = (e) => this.fail(e);
+                    resolve();
+                } else if (event.data.type === 'error') {
+                    reject(new ModelLoadError(`Hand tracking failed to start: ${event.data.message}`));
+                }
+            };
+            this.worker.onerror = (event) => {
+                reject(new ModelLoadError(`Hand tracking worker failed: ${event.message || 'unknown error'}`));
+            };
+        });
+        
+        this.worker.postMessage({
+            type: 'init',
+            options: {
+                ...this.options,
+                tasksPath: MEDIAPIPE_TASKS_CDN_PATH,
+                modelAssetBuffer: model
+            }
+        }, [model.buffer]);
+        
+        return withTimeout(ready, MODEL_LOAD_TIMEOUT,
+            'The hand tracking model did not start in time. Reload the page to try again.')
+            .catch(error => {
+                this.close();
+                throw error;
+            });
+    }
+    
+    async capture(video, timestamp) {
+        if (this.busy || !this.worker) return;
+        this.busy = true;
+        
+        try {
+            // Transfer the bitmap rather than copying it
+            const bitmap = await createImageBitmap(video);
+            this.worker.postMessage({ type: 'frame', bitmap, timestamp }, [bitmap]);
+        } catch (error) {
+            this.busy = false;
+            throw error;
+        }
+    }
+    
+    handleMessage(message) {
+        if (message.type === 'error') {
+            console.error('Hand tracking failed on a frame:', message.message);
+        } else if (message.results) {
+            this.callback(message.results, message.timestamp);
+        }
+        this.busy = false;
+    }
+    
+    // The worker crashed mid-game. Without this the frame in flight never
+    // comes back, busy stays set and tracking silently stops.
+    fail(event) {
+        this.close();
+        this.errorCallback(new ModelLoadError(`Hand tracking worker failed: ${event.message || 'unknown error'}`));
+    }
+    
+    close() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.busy = false;
+    }
+}
+
+class MainThreadHandTracker {
+    constructor(options, basePath = MEDIAPIPE_CDN_PATH) {
+        this.options = options;
+        this.loader = new HandsModelLoader(basePath);
+        this.hands = null;
+        this.busy = false;
+        this.frameTimestamp = 0;
+        this.callback = () => {};
+    }
+    
+    onResults(callback) {
+        this.callback = callback;
+    }
+    
+    // Failures here surface as rejected capture() calls, one frame at a time
+    onError() {}
+    
+    // Download the model first so the loading screen can show progress
+    // (see model-loader.js)
+    async initialize(onProgress) {
+        const modelComplexity = 1;
+        await this.loader.load(modelComplexity, onProgress);
+        
+        this.hands = new Hands({
+            locateFile: (file) => this.loader.url(file)
+        });
+        
+        this.hands.setOptions({
+            maxNumHands: this.options.numHands,
+            modelComplexity: modelComplexity,
+            minDetectionConfidence: this.options.minDetectionConfidence,
+            minTrackingConfidence: this.options.minTrackingConfidence
+        });
+        
+        // Hands calls back during send(), so the frame being sent is the one
+        // these results belong to
+        this.hands.onResults((results) => {
+            this.callback(results, this.busy ? this.frameTimestamp : performance.now());
+        });
+        
+        // Fail clearly instead of sitting on the loading screen forever
+        await withTimeout(this.hands.initialize(), MODEL_LOAD_TIMEOUT,
+            'The hand tracking model did not start in time. Reload the page to try again.');
+    }
+    
+    async capture(video, timestamp) {
+        if (this.busy || !this.hands) return;
+        this.busy = true;
+        this.frameTimestamp = timestamp;
+        
+        try {
+            await this.hands.send({ image: video });
+        } finally {
+            this.busy = false;
+        }
+    }
+    
+    close() {
+        if (this.hands) this.hands.close();
+        this.hands = null;
+        this.busy = false;
+    }
+}
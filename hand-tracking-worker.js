@@ -0,0 +1,80 @@
+// Hand tracking worker
+// Runs MediaPipe Tasks' HandLandmarker off the main thread, so inference
+// never holds up the game loop. Frames arrive as ImageBitmaps stamped with
+// their capture time; results go back with that timestamp, in the same shape
+// as the MediaPipe Hands solution (multiHandLandmarks, multiHandedness).
+//
+// Messages in:
+//   { type: 'init', options }           Load the model from options.modelAssetBuffer (see WorkerHandTracker)
+//   { type: 'frame', bitmap, timestamp } Detect hands in one frame
+// Messages out:
+//   { type: 'ready' }
+//   { type: 'results', results, timestamp }
+//   { type: 'error', message }
+
+let landmarker = null;
+let lastTimestamp = -Infinity;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    
+    if (message.type === 'init') {
+        try {
+            landmarker = await createLandmarker(message.options);
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+    } else if (message.type === 'frame') {
+        const { bitmap, timestamp } = message;
+        
+        // The main thread only sends a frame once the last one is back, but
+        // never let an out-of-order frame through - MediaPipe needs rising timestamps
+        if (!landmarker || timestamp <= lastTimestamp) {
+            bitmap.close();
+            self.postMessage({ type: 'results', results: null, timestamp });
+            return;
+        }
+        lastTimestamp = timestamp;
+        
+        try {
+            const detected = landmarker.detectForVideo(bitmap, timestamp);
+            self.postMessage({ type: 'results', results: toSolutionResults(detected), timestamp });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error), timestamp });
+        } finally {
+            bitmap.close();
+        }
+    }
+};
+
+async function createLandmarker(options) {
+    const { FilesetResolver, HandLandmarker } = await import(`${options.tasksPath}vision_bundle.mjs`);
+    const fileset = await FilesetResolver.forVisionTasks(`${options.tasksPath}wasm`);
+    
+    return HandLandmarker.createFromOptions(fileset, {
+        baseOptions: {
+            modelAssetBuffer: options.modelAssetBuffer,
+            delegate: 'GPU' // Uses an OffscreenCanvas inside the worker
+        },
+        runningMode: 'VIDEO',
+        numHands: options.numHands,
+        minHandDetectionConfidence: options.minDetectionConfidence,
+        minTrackingConfidence: options.minTrackingConfidence
+    });
+}
+
+// Tasks results -> the MediaPipe Hands solution's format
+function toSolutionResults(detected) {
+    const handedness = detected.handedness || detected.handednesses || [];
+    return {
+        multiHandLandmarks: detected.landmarks.map(hand =>
+            hand.map(point => ({ x: point.x, y: point.y, z: point.z }))
+        ),
+        multiHandedness: handedness.map((categories, index) => ({
+            index: index,
+            label: categories[0].categoryName,
+            score: categories[0].score
+        }))
+    };
+}
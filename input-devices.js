@@ -0,0 +1,187 @@
+// Input devices
+// Ways to aim and fire besides hand tracking: mouse and touch, keyboard and
+// gamepads. Every device reports through the same callbacks, which the game
+// turns into a player's handPosition and a call to shoot():
+//   aim(playerIndex, x, y)      Put a player's cursor at canvas coordinates
+//   move(playerIndex, dx, dy)   Nudge a player's cursor by this many pixels
+//   fire(playerIndex, source)   Shoot from the player's cursor
+// Devices with free aim (hover, keys, sticks) only steer in no-camera mode,
+// so they never fight hand tracking for the cursor.
+
+const KEYBOARD_AIM_SPEED = 10; // pixels per tick while an aim key is held
+const GAMEPAD_AIM_SPEED = 14; // pixels per tick with the stick pushed all the way
+const GAMEPAD_DEADZONE = 0.15; // Stick travel ignored around the centre
+const GAMEPAD_FIRE_BUTTONS = [7, 0]; // Right trigger, A (standard mapping)
+
+// Solo players can use either set of keys; with two players the first plays
+// on WASD + Space and the second on the arrows + Enter
+const KEY_BINDINGS = [
+    { up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD', fire: ['Space', 'KeyF'] },
+    { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', fire: ['Enter', 'NumpadEnter'] }
+];
+
+class InputDevice {
+    constructor(name, handlers) {
+        this.name = name;
+        this.handlers = handlers;
+        this.playerCount = 1;
+        this.freeAim = false;
+    }
+    
+    // Called once per game tick
+    update() {}
+    
+    // Feedback for a hit, where the device can give it
+    rumble(playerIndex) {}
+}
+
+// Mouse and touch: click or tap to shoot, and in no-camera mode the cursor
+// follows the mouse. With two players, each uses their own half of the screen.
+class PointerInput extends InputDevice {
+    constructor(canvas, handlers) {
+        super('pointer', handlers);
+        this.canvas = canvas;
+        
+        canvas.addEventListener('click', (e) => this.shootAt(e.clientX, e.clientY, 'click'));
+        canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            const touch = e.touches[0];
+            this.shootAt(touch.clientX, touch.clientY, 'touch');
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            if (this.freeAim) this.handlers.aim(this.playerAt(e.clientX), e.clientX, e.clientY);
+        });
+    }
+    
+    playerAt(x) {
+        return this.playerCount > 1 && x >= this.canvas.width / 2 ? 1 : 0;
+    }
+    
+    shootAt(x, y, source) {
+        const playerIndex = this.playerAt(x);
+        this.handlers.aim(playerIndex, x, y);
+        this.handlers.fire(playerIndex, source);
+    }
+}
+
+class KeyboardInput extends InputDevice {
+    constructor(target, handlers) {
+        super('keyboard', handlers);
+        this.held = new Set();
+        
+        target.addEventListener('keydown', (e) => {
+            const binding = this.bindingFor(e.code);
+            if (!this.freeAim || binding < 0) return;
+            
+            // Keep Space from scrolling or pressing the focused button
+            e.preventDefault();
+            if (!this.held.has(e.code) && KEY_BINDINGS[binding].fire.includes(e.code)) {
+                this.handlers.fire(this.playerFor(binding), 'keyboard');
+            }
+            this.held.add(e.code);
+        });
+        target.addEventListener('keyup', (e) => this.held.delete(e.code));
+        window.addEventListener('blur', () => this.held.clear());
+    }
+    
+    // Index into KEY_BINDINGS, or -1 for keys the game doesn't use
+    bindingFor(code) {
+        return KEY_BINDINGS.findIndex(keys =>
+            [keys.up, keys.down, keys.left, keys.right, ...keys.fire].includes(code));
+    }
+    
+    playerFor(binding) {
+        return this.playerCount > 1 ? binding : 0;
+    }
+    
+    update() {
+        if (!this.freeAim) return;
+        
+        KEY_BINDINGS.forEach((keys, binding) => {
+            const dx = (this.held.has(keys.right) ? 1 : 0) - (this.held.has(keys.left) ? 1 : 0);
+            const dy = (this.held.has(keys.down) ? 1 : 0) - (this.held.has(keys.up) ? 1 : 0);
+            if (dx === 0 && dy === 0) return;
+            
+            // Same speed diagonally as straight
+            const scale = KEYBOARD_AIM_SPEED / Math.hypot(dx, dy);
+            this.handlers.move(this.playerFor(binding), dx * scale, dy * scale);
+        });
+    }
+}
+
+// Gamepad API: left stick aims, right trigger (or A) fires. Pads are polled,
+// as the API has no button events; pad n plays for player n.
+class GamepadInput extends InputDevice {
+    constructor(handlers) {
+        super('gamepad', handlers);
+        this.pressed = new Map(); // Gamepad index -> fire button held last tick
+    }
+    
+    connectedPads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    }
+    
+    update() {
+        if (!this.freeAim) return;
+        
+        this.connectedPads().slice(0, this.playerCount).forEach((pad, playerIndex) => {
+            const x = this.deadzone(pad.axes[0] || 0);
+            const y = this.deadzone(pad.axes[1] || 0);
+            if (x !== 0 || y !== 0) {
+                this.handlers.move(playerIndex, x * GAMEPAD_AIM_SPEED, y * GAMEPAD_AIM_SPEED);
+            }
+            
+            // Fire once per press, not every tick the trigger is held
+            const firing = GAMEPAD_FIRE_BUTTONS.some(i => pad.buttons[i] && pad.buttons[i].value > 0.5);
+            if (firing && !this.pressed.get(pad.index)) {
+                this.handlers.fire(playerIndex, 'gamepad');
+            }
+            this.pressed.set(pad.index, firing);
+        });
+    }
+    
+    // Rescales the stick so movement starts smoothly past the deadzone
+    deadzone(value) {
+        if (Math.abs(value) < GAMEPAD_DEADZONE) return 0;
+        return Math.sign(value) * (Math.abs(value) - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+    }
+    
+    rumble(playerIndex) {
+        const pad = this.connectedPads()[playerIndex];
+        if (!pad || !pad.vibrationActuator) return;
+        
+        pad.vibrationActuator.playEffect('dual-rumble', {
+            duration: 80,
+            strongMagnitude: 0.6,
+            weakMagnitude: 0.3
+        }).catch(() => {}); // Not every pad can rumble
+    }
+}
+
+class InputManager {
+    constructor(canvas, handlers) {
+        this.devices = [
+            new PointerInput(canvas, handlers),
+            new KeyboardInput(document, handlers),
+            new GamepadInput(handlers)
+        ];
+    }
+    
+    // Called when a round starts and ends. Free aim is for rounds without
+    // hand tracking.
+    configure(playerCount, freeAim) {
+        this.devices.forEach(device => {
+            device.playerCount = playerCount;
+            device.freeAim = freeAim;
+        });
+    }
+    
+    update() {
+        this.devices.forEach(device => device.update());
+    }
+    
+    rumble(playerIndex) {
+        this.devices.forEach(device => device.rumble(playerIndex));
+    }
+}
@@ -0,0 +1,105 @@
+// Local leaderboard
+// High scores are kept in localStorage, one board per game mode and round
+// length, and can be moved between machines as a JSON file.
+
+const LEADERBOARD_STORAGE_KEY = 'balloonPop.leaderboard';
+const LEADERBOARD_VERSION = 1;
+
+class Leaderboard {
+    constructor(maxEntries = 10) {
+        this.maxEntries = maxEntries;
+        this.boards = this.load();
+    }
+    
+    // roundLength is in seconds, or null for modes without a time limit
+    static boardId(modeId, roundLength) {
+        return `${modeId}-${roundLength ? `${roundLength}s` : 'endless'}`;
+    }
+    
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY));
+            return data && data.boards ? data.boards : {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    save() {
+        localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify({
+            version: LEADERBOARD_VERSION,
+            boards: this.boards
+        }));
+    }
+    
+    top(boardId, count = this.maxEntries) {
+        return (this.boards[boardId] || []).slice(0, count);
+    }
+    
+    qualifies(boardId, score) {
+        if (score <= 0) return false;
+        
+        const entries = this.boards[boardId] || [];
+        return entries.length < this.maxEntries || score > entries[entries.length - 1].score;
+    }
+    
+    // entry: { name, score, accuracy, inputMethod }; returns the stored entry
+    add(boardId, entry) {
+        const stored = { ...entry, date: new Date().toISOString() };
+        this.insert(boardId, [stored]);
+        this.save();
+        return stored;
+    }
+    
+    insert(boardId, entries) {
+        const board = (this.boards[boardId] || []).concat(entries);
+        board.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+        this.boards[boardId] = board.slice(0, this.maxEntries);
+    }
+    
+    download() {
+        const data = { version: LEADERBOARD_VERSION, boards: this.boards };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `balloon-pop-leaderboard-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+    
+    // Merges an exported board file into this one, skipping entries we already have
+    importFile(file) {
+        return file.text().then(text => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid leaderboard file: not valid JSON.');
+            }
+            if (!data || typeof data.boards !== 'object' || data.boards === null) {
+                throw new Error('Invalid leaderboard file: missing boards.');
+            }
+            
+            // Only count what made the board - not duplicates, and not
+            // entries too low to survive the cut to maxEntries
+            let imported = 0;
+            Object.keys(data.boards).forEach(boardId => {
+                const entries = [];
+                (Array.isArray(data.boards[boardId]) ? data.boards[boardId] : [])
+                    .filter(entry => entry && typeof entry.name === 'string' &&
+                        typeof entry.score === 'number' && typeof entry.date === 'string')
+                    .forEach(entry => {
+                        const known = (this.boards[boardId] || []).concat(entries);
+                        if (!known.some(other => sameEntry(other, entry))) entries.push(entry);
+                    });
+                
+                this.insert(boardId, entries);
+                imported += this.boards[boardId].filter(entry => entries.includes(entry)).length;
+            });
+            
+            this.save();
+            return imported;
+        });
+    }
+}
+
+// Exported entries have no id, so the name, score and date identify them
+function sameEntry(a, b) {
+    return a.name === b.name && a.score === b.score && a.date === b.date;
+}
@@ -0,0 +1,203 @@
+// Levels
+// A level is a list of timed waves, each saying which balloons to send, how
+// to send them and how fast. Levels are plain JSON so designers can write
+// their own and load them from the level select screen.
+//
+// Level fields:
+//   id, name        Unique id (used for progress) and display name
+//   description     Optional one-liner for the level select screen
+//   goal            Score needed to clear the level and unlock the next one
+//   waves           Played in order; the round lasts as long as all waves together
+//
+// Wave fields (all optional except duration):
+//   duration        Seconds
+//   pattern         'stream' (one at a time), 'burst' (several at random spots),
+//                   'formation' (an evenly spaced row) or 'sweep' (left to right)
+//   interval        ms between spawns (default 1000)
+//   count           Balloons per burst/formation, or steps across a sweep (default 5)
+//   speed           [min, max] rise speed in pixels per tick (default [1, 3])
+//   mix             { balloonTypeId: weight } - defaults to the normal spawn weights
+
+const LEVEL_PROGRESS_STORAGE_KEY = 'balloonPop.levels';
+const WAVE_PATTERNS = ['stream', 'burst', 'formation', 'sweep'];
+
+const BUILT_IN_LEVELS = [
+    {
+        id: 'first-flight',
+        name: 'First Flight',
+        description: 'A gentle stream of balloons to warm up',
+        goal: 250,
+        waves: [
+            { duration: 20, pattern: 'stream', interval: 1200, speed: [1, 1.8], mix: { standard: 1 } },
+            { duration: 15, pattern: 'stream', interval: 900, speed: [1.2, 2.2], mix: { standard: 9, golden: 1 } }
+        ]
+    },
+    {
+        id: 'lineup',
+        name: 'Line Up',
+        description: 'Balloons rise in rows - sweep across them',
+        goal: 500,
+        waves: [
+            { duration: 15, pattern: 'formation', interval: 3000, count: 4, speed: [1.2, 1.6], mix: { standard: 1 } },
+            { duration: 15, pattern: 'sweep', interval: 400, count: 8, speed: [1.5, 2], mix: { standard: 5, clock: 1 } },
+            { duration: 15, pattern: 'formation', interval: 2500, count: 6, speed: [1.5, 2.2], mix: { standard: 6, armored: 1 } }
+        ]
+    },
+    {
+        id: 'minefield',
+        name: 'Minefield',
+        description: 'Bursts of balloons with bombs mixed in - pick your shots',
+        goal: 600,
+        waves: [
+            { duration: 15, pattern: 'burst', interval: 2500, count: 3, speed: [1.5, 2.5], mix: { standard: 3, bomb: 1 } },
+            { duration: 20, pattern: 'burst', interval: 2000, count: 5, speed: [1.8, 3], mix: { standard: 3, bomb: 2, splitter: 1 } },
+            { duration: 10, pattern: 'stream', interval: 500, speed: [2, 3], mix: { standard: 2, bomb: 1, golden: 1 } }
+        ]
+    },
+    {
+        id: 'storm',
+        name: 'Storm',
+        description: 'Everything at once, and fast',
+        goal: 1200,
+        waves: [
+            { duration: 15, pattern: 'sweep', interval: 250, count: 10, speed: [2, 3], mix: { standard: 6, splitter: 1, armored: 1 } },
+            { duration: 15, pattern: 'burst', interval: 1500, count: 6, speed: [2.5, 3.5] },
+            { duration: 15, pattern: 'formation', interval: 1500, count: 7, speed: [3, 4], mix: { standard: 5, golden: 1, bomb: 2 } },
+            { duration: 10, pattern: 'stream', interval: 250, speed: [3, 4.5] }
+        ]
+    }
+];
+
+// Steps through a level's waves on the game clock and says where to spawn
+class WaveSpawner {
+    constructor(level) {
+        this.level = level;
+        this.waveIndex = 0;
+        this.waveStart = 0;
+        this.lastSpawn = -Infinity; // First spawn of each wave happens right away
+        this.sweepStep = 0;
+    }
+    
+    get wave() {
+        return this.level.waves[this.waveIndex] || null;
+    }
+    
+    // Returns the spawns due at this game time as horizontal positions in
+    // [0, 1] of the screen width, or null for a random position
+    update(gameTime) {
+        // Move on to the next wave once this one has run its course
+        while (this.wave && gameTime - this.waveStart >= this.wave.duration * 1000) {
+            this.waveStart += this.wave.duration * 1000;
+            this.waveIndex++;
+            this.lastSpawn = -Infinity;
+            this.sweepStep = 0;
+        }
+        
+        const wave = this.wave;
+        if (!wave || gameTime - this.lastSpawn < (wave.interval || 1000)) return [];
+        this.lastSpawn = gameTime;
+        
+        const count = wave.count || 5;
+        switch (wave.pattern) {
+            case 'burst':
+                return new Array(count).fill(null);
+            case 'formation':
+                return Array.from({ length: count }, (_, i) => (i + 1) / (count + 1));
+            case 'sweep':
+                return [(this.sweepStep++ % count + 0.5) / count];
+            default:
+                return [null];
+        }
+    }
+}
+
+// Cleared levels and best scores, by level id
+class LevelProgress {
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(LEVEL_PROGRESS_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    get(levelId) {
+        return this.load()[levelId] || { cleared: false, best: 0 };
+    }
+    
+    record(levelId, score, cleared) {
+        const progress = this.load();
+        const entry = progress[levelId] || { cleared: false, best: 0 };
+        progress[levelId] = {
+            cleared: entry.cleared || cleared,
+            best: Math.max(entry.best, score)
+        };
+        localStorage.setItem(LEVEL_PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+    }
+    
+    // Built-in levels unlock one by one
+    isUnlocked(levels, index) {
+        return index === 0 || this.get(levels[index - 1].id).cleared;
+    }
+}
+
+// Total length of a level in seconds
+function levelDuration(level) {
+    return level.waves.reduce((total, wave) => total + wave.duration, 0);
+}
+
+// Checks a level loaded from a file; returns the levels it contains or
+// throws an Error describing the first problem found. A file may hold one
+// level or { "levels": [...] }.
+function parseLevelFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid level file: not valid JSON.');
+    }
+    
+    const levels = data && Array.isArray(data.levels) ? data.levels : [data];
+    levels.forEach((level, index) => validateLevel(level, index));
+    return levels;
+}
+
+function validateLevel(level, index) {
+    const label = level && level.name ? `"${level.name}"` : `#${index + 1}`;
+    const fail = (message) => {
+        throw new Error(`Invalid level ${label}: ${message}`);
+    };
+    
+    if (!level || typeof level !== 'object') fail('not an object.');
+    if (typeof level.id !== 'string' || !level.id) fail('missing "id".');
+    if (typeof level.name !== 'string' || !level.name) fail('missing "name".');
+    if (typeof level.goal !== 'number' || level.goal < 0) fail('"goal" must be a score.');
+    if (!Array.isArray(level.waves) || level.waves.length === 0) fail('needs at least one wave.');
+    
+    level.waves.forEach((wave, waveIndex) => {
+        const where = `wave ${waveIndex + 1}`;
+        if (!wave || typeof wave !== 'object') fail(`${where} is not an object.`);
+        if (typeof wave.duration !== 'number' || wave.duration <= 0) {
+            fail(`${where} needs a positive "duration" in seconds.`);
+        }
+        if (wave.pattern !== undefined && !WAVE_PATTERNS.includes(wave.pattern)) {
+            fail(`${where} has unknown pattern "${wave.pattern}" (use ${WAVE_PATTERNS.join(', ')}).`);
+        }
+        if (wave.interval !== undefined && !(wave.interval > 0)) {
+            fail(`${where} needs a positive "interval".`);
+        }
+        if (wave.count !== undefined && !(Number.isInteger(wave.count) && wave.count > 0)) {
+            fail(`${where} needs a positive whole "count".`);
+        }
+        if (wave.speed !== undefined && !(Array.isArray(wave.speed) && wave.speed.length === 2 &&
+            wave.speed[0] > 0 && wave.speed[1] >= wave.speed[0])) {
+            fail(`${where} "speed" must be [min, max].`);
+        }
+        if (wave.mix !== undefined) {
+            const ids = Object.keys(wave.mix || {});
+            const unknown = ids.find(id => !BALLOON_TYPES[id]);
+            if (unknown) fail(`${where} has unknown balloon type "${unknown}".`);
+            if (!ids.some(id => wave.mix[id] > 0)) fail(`${where} "mix" needs at least one positive weight.`);
+        }
+    });
+}
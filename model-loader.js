@@ -0,0 +1,158 @@
+// Hand tracking model loader
+// Loads the MediaPipe Hands script and model files from a configurable base
+// path - the CDN by default, or a local folder for venues without internet.
+// The model files are fetched up front so the loading screen can show real
+// progress; MediaPipe then picks them up from the cache.
+
+const MEDIAPIPE_HANDS_VERSION = '0.4.1675469240';
+const MEDIAPIPE_CDN_PATH = `https://cdn.jsdelivr.net/npm/@mediapipe/hands@${MEDIAPIPE_HANDS_VERSION}/`;
+const MODEL_LOAD_TIMEOUT = 30000; // ms before giving up on the model
+
+// MediaPipe Tasks, used by the hand tracking worker (hand-tracking-worker.js)
+const MEDIAPIPE_TASKS_VERSION = '0.10.14';
+const MEDIAPIPE_TASKS_CDN_PATH = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_TASKS_VERSION}/`;
+const HAND_LANDMARKER_MODEL_URL =
+    'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+// network is set when the files couldn't be reached or didn't arrive in
+// time - trying another source over the same connection won't do better
+class ModelLoadError extends Error {
+    constructor(message, { network = false } = {}) {
+        super(message);
+        this.name = 'ModelLoadError';
+        this.network = network;
+    }
+}
+
+class HandsModelLoader {
+    constructor(basePath = MEDIAPIPE_CDN_PATH) {
+        // Always end in a slash so file names can be appended
+        this.basePath = basePath.endsWith('/') ? basePath : `${basePath}/`;
+    }
+    
+    url(file) {
+        return `${this.basePath}${file}`;
+    }
+    
+    // The files MediaPipe will ask for with these options
+    modelFiles(modelComplexity) {
+        const wasm = HandsModelLoader.supportsSimd() ? 'hands_solution_simd_wasm_bin' : 'hands_solution_wasm_bin';
+        return [
+            'hands.binarypb',
+            'hands_solution_packed_assets_loader.js',
+            'hands_solution_packed_assets.data',
+            `${wasm}.js`,
+            `${wasm}.wasm`,
+            modelComplexity === 0 ? 'hand_landmark_lite.tflite' : 'hand_landmark_full.tflite'
+        ];
+    }
+    
+    // onProgress(loaded, total) is called in bytes; total is 0 until the
+    // servers have reported file sizes
+    async load(modelComplexity, onProgress = () => {}) {
+        if (typeof Hands === 'undefined') {
+            await loadScript(this.url('hands.js')).catch(() => {
+                throw new ModelLoadError(`Could not load the hand tracking library from ${this.basePath}. ` +
+                    'Check your internet connection, or the model path in Settings.');
+            });
+        }
+        
+        const files = this.modelFiles(modelComplexity);
+        const loaded = new Map();
+        const sizes = new Map();
+        const report = () => {
+            const sum = (map) => Array.from(map.values()).reduce((total, value) => total + value, 0);
+            onProgress(sum(loaded), sizes.size === files.length ? sum(sizes) : 0);
+        };
+        
+        await Promise.all(files.map(file => this.prefetch(file, (bytes, size) => {
+            loaded.set(file, bytes);
+            sizes.set(file, size);
+            report();
+        })));
+    }
+    
+    prefetch(file, onProgress) {
+        return downloadModelFile(this.url(file), file, onProgress, false);
+    }
+    
+    // Tiny module using a SIMD instruction - MediaPipe ships a faster build for these browsers
+    static supportsSimd() {
+        try {
+            return WebAssembly.validate(new Uint8Array([
+                0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0,
+                10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+            ]));
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Fetches a model file, calling onProgress(bytes, size) as it arrives.
+// Resolves with the file's contents, unless keep is false (when it is only
+// being fetched into the cache).
+async function downloadModelFile(url, file, onProgress = () => {}, keep = true) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new ModelLoadError(`Could not download ${file} - are you offline? ` +
+            'Play once while online, or point the model path in Settings at a local copy.', { network: true });
+    }
+    if (!response.ok) {
+        throw new ModelLoadError(`Could not download ${url} (HTTP ${response.status}).`);
+    }
+    
+    const size = Number(response.headers.get('Content-Length')) || 0;
+    onProgress(0, size);
+    if (!response.body) {
+        const buffer = keep ? new Uint8Array(await response.arrayBuffer()) : null;
+        onProgress(size, size);
+        return buffer;
+    }
+    
+    // Read the body as it arrives to count bytes
+    const reader = response.body.getReader();
+    const chunks = [];
+    let bytes = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        if (keep) chunks.push(value);
+        bytes += value.length;
+        onProgress(bytes, Math.max(size, bytes));
+    }
+    if (!keep) return null;
+    
+    const buffer = new Uint8Array(bytes);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return buffer;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove(); // So a retry adds a fresh tag
+            reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+// Rejects with a ModelLoadError if promise doesn't settle in time
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new ModelLoadError(message, { network: true })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
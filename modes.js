@@ -0,0 +1,51 @@
+// Game modes
+// Each mode is plain data: which HUD items it shows and which limits end the
+// round. BalloonGame reads these instead of assuming a fixed 60 second round;
+// timed modes use the round length from the settings unless fixedSettings is set.
+
+const GAME_MODES = {
+    classic: {
+        name: 'Classic',
+        description: 'Pop as many balloons as you can before time runs out',
+        timeLimit: 60, // seconds
+        hud: ['score', 'timer']
+    },
+    survival: {
+        name: 'Survival',
+        description: 'No timer - every balloon that escapes costs a life',
+        lives: 5,
+        hud: ['score', 'timer', 'lives']
+    },
+    zen: {
+        name: 'Zen',
+        description: 'No timer and no way to lose - pop balloons at your own pace',
+        relaxed: true, // Spawn rate and speed don't ramp up
+        hud: ['score', 'timer']
+    },
+    daily: {
+        name: 'Daily Challenge',
+        description: 'Same balloons for everyone today - compare scores with your team',
+        timeLimit: 60,
+        dailySeed: true, // Seed comes from the date
+        rampByTime: true, // Balloons speed up with time, not score, so scores compare fairly
+        fixedSettings: true, // Round length and difficulty settings don't apply
+        hud: ['score', 'timer']
+    },
+    precision: {
+        name: 'Precision',
+        description: 'Limited ammo - your final score is scaled by your accuracy',
+        ammo: 30,
+        scoreByAccuracy: true,
+        hud: ['score', 'ammo', 'accuracy']
+    }
+};
+
+// Game over headings per end reason
+const END_REASON_TITLES = {
+    time: '🎯 Time\'s Up!',
+    lives: '💥 Out of Lives!',
+    ammo: '🎯 Out of Ammo!',
+    quit: '🎈 Round Over',
+    cleared: '🏁 Level Cleared!',
+    failed: '🎈 Goal Not Reached'
+};
@@ -0,0 +1,50 @@
+// Seeded random numbers
+// All game randomness goes through SeededRandom so a round can be replayed
+// exactly from its seed - the Daily Challenge uses the date as the seed.
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hash(this.seed);
+    }
+    
+    // Mulberry32 - small, fast and good enough for gameplay
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+    
+    // FNV-1a, so any string (or number) can be used as a seed
+    static hash(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Short seed for a normal round, easy to read out or type into a URL
+    static randomSeed() {
+        return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+    }
+    
+    // Everyone playing on the same (local) day gets the same seed
+    static dailySeed(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
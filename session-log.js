@@ -0,0 +1,238 @@
+// Session log and playback
+// Every round keeps a log of what happened on the game clock: balloons
+// spawned (with everything needed to move them again), the cursor path,
+// shots and pops. The log can be watched back after the round - the game
+// re-simulates the balloons from it (see BalloonGame.startPlayback) - and
+// exported or imported as JSON. The playback can also be saved as a WebM
+// video.
+//
+// Events, in the order they happened:
+//   { t, type: 'spawn', balloon }                         See SESSION_BALLOON_FIELDS
+//   { t, type: 'cursor', player, x, y }                   x and y are null while the hand is lost
+//   { t, type: 'shot', player, x, y, source, balloonId }  balloonId is null for a miss
+//   { t, type: 'pop', balloonId, player, points, multiplier }
+
+const SESSION_LOG_VERSION = 1;
+
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const PLAYBACK_TRAIL_TIME = 1500; // ms of cursor path drawn behind each cursor
+
+// What a balloon needs to be moved and drawn again
+const SESSION_BALLOON_FIELDS = [
+    'id', 'type', 'x', 'y', 'vx', 'radius', 'color', 'points', 'pattern', 'hits', 'maxHits',
+    'spawnTime', 'speed', 'wobbleOffset', 'wobbleSpeed', 'wobbleAmount'
+];
+
+class SessionLog {
+    constructor() {
+        this.info = null;
+        this.events = [];
+    }
+    
+    // info: { seed, mode, level, players, canvas, reducedMotion }
+    start(info) {
+        this.info = { ...info, recordedAt: new Date().toISOString() };
+        this.events = [];
+        this.lastCursors = new Map(); // player -> last logged { x, y }
+    }
+    
+    recordSpawn(balloon, t) {
+        const copy = {};
+        SESSION_BALLOON_FIELDS.forEach(field => {
+            copy[field] = balloon[field];
+        });
+        this.events.push({ t, type: 'spawn', balloon: copy });
+    }
+    
+    // Only changes are logged, rounded to whole pixels
+    recordCursor(player, position, t) {
+        const x = position ? Math.round(position.x) : null;
+        const y = position ? Math.round(position.y) : null;
+        const last = this.lastCursors.get(player);
+        if (last && last.x === x && last.y === y) return;
+        
+        this.lastCursors.set(player, { x, y });
+        this.events.push({ t, type: 'cursor', player, x, y });
+    }
+    
+    recordShot(player, position, source, balloonId, t) {
+        this.events.push({
+            t,
+            type: 'shot',
+            player,
+            x: Math.round(position.x),
+            y: Math.round(position.y),
+            source,
+            balloonId
+        });
+    }
+    
+    recordPop(balloonId, player, points, multiplier, t) {
+        this.events.push({ t, type: 'pop', balloonId, player, points, multiplier });
+    }
+    
+    // t is when the round ended, which may be well after the last event
+    finish(reason, score, t) {
+        if (!this.info) return;
+        this.info.result = { reason, score };
+        this.info.endTime = t;
+    }
+    
+    hasEvents() {
+        return this.events.length > 0;
+    }
+    
+    toJSON() {
+        return {
+            version: SESSION_LOG_VERSION,
+            ...this.info,
+            duration: Math.max(this.info.endTime || 0, this.events.length > 0 ? this.events[this.events.length - 1].t : 0),
+            events: this.events
+        };
+    }
+    
+    download() {
+        const stamp = (this.info.recordedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+        downloadBlob(new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' }), `balloon-pop-replay-${stamp}.json`);
+    }
+    
+    static validate(log) {
+        if (!log || !Array.isArray(log.events)) {
+            throw new Error('Invalid replay: missing events.');
+        }
+        if (log.version !== SESSION_LOG_VERSION) {
+            throw new Error(`Unsupported replay version: ${log.version}`);
+        }
+        if (!log.canvas || !(log.canvas.width > 0) || !(log.canvas.height > 0)) {
+            throw new Error('Invalid replay: missing screen size.');
+        }
+        if (!Array.isArray(log.players) || log.players.length === 0) {
+            throw new Error('Invalid replay: missing players.');
+        }
+        
+        log.events.forEach((event, index) => {
+            if (!event || typeof event !== 'object' || typeof event.t !== 'number') {
+                throw new Error(`Invalid replay: event ${index + 1} needs a numeric time.`);
+            }
+            if (event.type === 'spawn' && (!event.balloon || typeof event.balloon !== 'object')) {
+                throw new Error(`Invalid replay: spawn event ${index + 1} has no balloon.`);
+            }
+        });
+        
+        const unknown = log.events.find(event => event.type === 'spawn' && !BALLOON_TYPES[event.balloon.type]);
+        if (unknown) {
+            throw new Error(`Invalid replay: unknown balloon type "${unknown.balloon.type}".`);
+        }
+        
+        // Stable sort keeps same-tick events in the order they happened
+        const events = log.events.slice().sort((a, b) => a.t - b.t);
+        return {
+            ...log,
+            events: events,
+            duration: Math.max(Number(log.duration) || 0, events.length > 0 ? events[events.length - 1].t : 0)
+        };
+    }
+    
+    static fromFile(file) {
+        return file.text().then(text => {
+            let log;
+            try {
+                log = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid replay: file is not valid JSON.');
+            }
+            return SessionLog.validate(log);
+        });
+    }
+}
+
+// Walks through a validated log as playback time advances
+class SessionPlayback {
+    constructor(log) {
+        this.log = log;
+        this.speed = 1; // One of PLAYBACK_SPEEDS
+        this.paused = false;
+        this.rewind();
+    }
+    
+    rewind() {
+        this.time = 0;
+        this.index = 0;
+        this.trails = this.log.players.map(() => []); // Recent cursor positions per player
+        this.scores = this.log.players.map(() => 0);
+        this.score = 0;
+    }
+    
+    get finished() {
+        return this.time >= this.log.duration;
+    }
+    
+    // Events up to and including time t, oldest first
+    eventsUntil(t) {
+        this.time = t;
+        const due = [];
+        const events = this.log.events;
+        while (this.index < events.length && events[this.index].t <= t) {
+            due.push(events[this.index++]);
+        }
+        
+        due.forEach(event => {
+            if (event.type === 'cursor' && this.trails[event.player]) {
+                this.trails[event.player].push(event);
+            }
+            
+            // Scores never drop below zero, as in the game
+            if (event.type === 'pop') {
+                this.scores[event.player] = Math.max(0, (this.scores[event.player] || 0) + event.points);
+                this.score = Math.max(0, this.score + event.points);
+            }
+        });
+        this.trails.forEach(trail => {
+            while (trail.length > 0 && t - trail[0].t > PLAYBACK_TRAIL_TIME) trail.shift();
+        });
+        return due;
+    }
+}
+
+// Records a canvas to WebM while a playback runs
+class CanvasVideoRecorder {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.recorder = null;
+        this.chunks = [];
+    }
+    
+    static supported(canvas) {
+        return typeof MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function';
+    }
+    
+    get recording() {
+        return Boolean(this.recorder);
+    }
+    
+    start() {
+        const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(candidate => MediaRecorder.isTypeSupported(candidate));
+        this.chunks = [];
+        this.recorder = new MediaRecorder(this.canvas.captureStream(30), type ? { mimeType: type } : {});
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        };
+        this.recorder.start(1000);
+    }
+    
+    // Resolves with the video, or null if nothing was recording
+    stop() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        if (!recorder) return Promise.resolve(null);
+        
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            };
+            recorder.stop();
+        });
+    }
+}
@@ -0,0 +1,83 @@
+// Settings
+// Player-adjustable options, saved in localStorage. BalloonGame reads them
+// when a round starts and when the camera and hand tracker are set up.
+
+const SETTINGS_STORAGE_KEY = 'balloonPop.settings';
+
+const SETTINGS_DEFAULTS = {
+    roundLength: 60, // seconds, for timed modes that allow it
+    difficulty: 'normal',
+    inputMode: 'camera', // See INPUT_MODES
+    cameraDeviceId: '', // '' = the browser's default front camera
+    cameraResolution: '1280x720',
+    minDetectionConfidence: 0.7,
+    modelPath: '', // Where the MediaPipe files live; '' = the CDN (see model-loader.js)
+    mirror: true, // Move the cursor like a mirror image of your hand
+    palmPause: true, // Holding up an open palm pauses the game
+    cameraPreview: false, // Webcam picture-in-picture (see camera-preview.js)
+    cameraPreviewCorner: 'top-right', // See CAMERA_PREVIEW_CORNERS
+    palette: 'standard', // See BALLOON_PALETTES in accessibility.js
+    motion: 'system', // See MOTION_PREFERENCES
+    largeCrosshair: false,
+    cursorSmoothing: 'normal', // See CURSOR_SMOOTHING in aiming.js
+    aimAssist: 'off', // See AIM_ASSIST_LEVELS
+    hitTolerance: 20, // pixels; see HIT_TOLERANCES
+    controlScheme: 'fingertip', // See CONTROL_SCHEMES
+    fireGestures: { recoil: true, pinch: true, hammer: true }
+};
+
+const ROUND_LENGTHS = [30, 45, 60, 90, 120];
+
+// speed scales how fast balloons rise, spawnInterval the time between spawns
+const DIFFICULTIES = {
+    easy: { name: 'Easy', speed: 0.7, spawnInterval: 1.4 },
+    normal: { name: 'Normal', speed: 1, spawnInterval: 1 },
+    hard: { name: 'Hard', speed: 1.35, spawnInterval: 0.7 }
+};
+
+// 'no-camera' skips the webcam and MediaPipe (see input-devices.js)
+const INPUT_MODES = {
+    camera: 'Hand tracking (camera)',
+    'no-camera': 'Mouse, keyboard or gamepad (no camera)'
+};
+
+// How a tracked hand aims and which fire gestures go with it. Fire gestures
+// outside the scheme stay off whatever the settings say.
+const CONTROL_SCHEMES = {
+    fingertip: { name: 'Fingertip (point at the balloon)', fireGestures: ['recoil', 'pinch'] },
+    'finger-gun': { name: 'Finger gun (aim along your finger)', fireGestures: ['hammer', 'recoil'] }
+};
+
+const CAMERA_RESOLUTIONS = {
+    '640x480': { width: 640, height: 480 },
+    '1280x720': { width: 1280, height: 720 },
+    '1920x1080': { width: 1920, height: 1080 }
+};
+
+class SettingsStore {
+    constructor() {
+        this.values = this.load();
+    }
+    
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+            return {
+                ...SETTINGS_DEFAULTS,
+                ...saved,
+                fireGestures: { ...SETTINGS_DEFAULTS.fireGestures, ...saved.fireGestures }
+            };
+        } catch (error) {
+            return { ...SETTINGS_DEFAULTS, fireGestures: { ...SETTINGS_DEFAULTS.fireGestures } };
+        }
+    }
+    
+    get(key) {
+        return this.values[key];
+    }
+    
+    set(key, value) {
+        this.values[key] = value;
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.values));
+    }
+}
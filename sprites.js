@@ -0,0 +1,60 @@
+// Sprite cache
+// Offscreen canvases for things that look the same from frame to frame -
+// balloons of one colour and size, clouds, the sky - so each frame copies
+// pixels instead of rebuilding gradients, shadows and paths.
+
+const SPRITE_CACHE_LIMIT = 256; // Sprites kept before the cache starts over
+const SPRITE_SIZE_STEP = 4; // Balloon radii are rounded to this many pixels
+
+class SpriteCache {
+    constructor(limit = SPRITE_CACHE_LIMIT) {
+        this.limit = limit;
+        this.sprites = new Map();
+    }
+    
+    get size() {
+        return this.sprites.size;
+    }
+    
+    // Returns the sprite for key, painting it with draw(ctx) the first time.
+    // draw paints around (0, 0), which lands at (originX, originY) on a
+    // width x height canvas.
+    get(key, width, height, originX, originY, draw) {
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            // Rare (palette or screen changes) - cheaper than tracking use
+            if (this.sprites.size >= this.limit) this.sprites.clear();
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width);
+            canvas.height = Math.ceil(height);
+            const ctx = canvas.getContext('2d');
+            ctx.translate(originX, originY);
+            draw(ctx);
+            
+            sprite = { canvas, originX, originY };
+            this.sprites.set(key, sprite);
+        }
+        return sprite;
+    }
+    
+    clear() {
+        this.sprites.clear();
+    }
+    
+    // Draws a sprite with its origin at (x, y)
+    static draw(ctx, sprite, x, y, scale = 1) {
+        ctx.drawImage(
+            sprite.canvas,
+            x - sprite.originX * scale,
+            y - sprite.originY * scale,
+            sprite.canvas.width * scale,
+            sprite.canvas.height * scale
+        );
+    }
+}
+
+// The radius a balloon's sprite is painted at; it is scaled to the exact size
+function spriteBucket(radius) {
+    return Math.max(SPRITE_SIZE_STEP, Math.round(radius / SPRITE_SIZE_STEP) * SPRITE_SIZE_STEP);
+}
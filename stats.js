@@ -0,0 +1,86 @@
+// Round statistics
+// Records every shot, pop and escaped balloon during a round so the
+// post-round screen can show how well each input method worked.
+
+class RoundStats {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.shots = [];
+        this.pops = [];
+        this.escaped = 0;
+    }
+    
+    // source is how the shot was triggered: 'recoil', 'pinch', 'hammer', 'click',
+    // 'touch', 'keyboard' or 'gamepad'.
+    // Times are on the game clock, the same one balloon.spawnTime uses
+    recordShot(source, hit, playerId, time) {
+        this.shots.push({ source, hit, playerId, timestamp: time });
+    }
+    
+    recordPop(balloon, points, playerId, time) {
+        this.pops.push({
+            type: balloon.type,
+            color: balloon.color,
+            points: points,
+            playerId: playerId,
+            reactionTime: time - balloon.spawnTime // ms from spawn to pop
+        });
+    }
+    
+    recordEscape() {
+        this.escaped++;
+    }
+    
+    get hits() {
+        return this.shots.filter(shot => shot.hit).length;
+    }
+    
+    get misses() {
+        return this.shots.length - this.hits;
+    }
+    
+    get accuracy() {
+        return this.shots.length > 0 ? this.hits / this.shots.length : 0;
+    }
+    
+    get averageReactionTime() {
+        if (this.pops.length === 0) return 0;
+        return this.pops.reduce((sum, pop) => sum + pop.reactionTime, 0) / this.pops.length;
+    }
+    
+    // [{ color, points, count }] ordered by points scored
+    pointsByColor() {
+        const byColor = new Map();
+        this.pops.forEach(pop => {
+            const entry = byColor.get(pop.color) || { color: pop.color, points: 0, count: 0 };
+            entry.points += pop.points;
+            entry.count++;
+            byColor.set(pop.color, entry);
+        });
+        return Array.from(byColor.values()).sort((a, b) => b.points - a.points);
+    }
+    
+    // [{ source, shots, hits, accuracy }] for every input method that fired
+    bySource() {
+        const bySource = new Map();
+        this.shots.forEach(shot => {
+            const entry = bySource.get(shot.source) || { source: shot.source, shots: 0, hits: 0 };
+            entry.shots++;
+            if (shot.hit) entry.hits++;
+            bySource.set(shot.source, entry);
+        });
+        return Array.from(bySource.values()).map(entry => ({
+            ...entry,
+            accuracy: entry.hits / entry.shots
+        }));
+    }
+    
+    // The input method that fired the most shots
+    primarySource() {
+        const sources = this.bySource().sort((a, b) => b.shots - a.shots);
+        return sources.length > 0 ? sources[0].source : null;
+    }
+}
@@ -0,0 +1,105 @@
+// Service worker
+// Caches the game itself and the hand tracking model after the first visit,
+// so the game keeps working without internet (trade shows, classrooms).
+// Bump CACHE_VERSION when the file list changes.
+
+const CACHE_VERSION = 9;
+const CACHE_NAME = `balloon-pop-v${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'utils.js',
+    'model-loader.js',
+    'hand-tracker.js',
+    'hand-tracking-worker.js',
+    'settings.js',
+    'random.js',
+    'audio.js',
+    'modes.js',
+    'balloon-types.js',
+    'levels.js',
+    'accessibility.js',
+    'entities.js',
+    'sprites.js',
+    'debug-overlay.js',
+    'camera-preview.js',
+    'gestures.js',
+    'aiming.js',
+    'input-devices.js',
+    'stats.js',
+    'leaderboard.js',
+    'calibration.js',
+    'hand-recorder.js',
+    'session-log.js',
+    'game.js',
+    'levels/example.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('balloon-pop-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (isModelAsset(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// MediaPipe files are versioned and never change, wherever they are hosted
+function isModelAsset(url) {
+    return url.href.includes('@mediapipe/') ||
+        url.href.includes('mediapipe-models') ||
+        url.pathname.includes('/mediapipe/') ||
+        /\.(wasm|data|tflite|binarypb|task)$/.test(url.pathname);
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Game files: always fresh when online, cached copy when not
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}